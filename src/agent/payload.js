@@ -4,6 +4,12 @@
  * Keep this pure: no IO, no UI, no provider-specific code.
  */
 
+import { formatTimedLines } from '../text/timestamps.js';
+
+// Consecutive segments are merged until a block spans this many seconds,
+// so the agent gets a stamp every few lines instead of every few words.
+const TIMED_BLOCK_SECONDS = 15;
+
 export function buildAgentPayload({ results, styleKey, preset = '', customStyle = '', directive = '' }) {
   const blocks = [];
 
@@ -20,14 +26,28 @@ export function buildAgentPayload({ results, styleKey, preset = '', customStyle
   if (preset) blocks.push(`Preset instructions:\n${preset}`);
   if (customStyle?.trim()) blocks.push(`User custom instructions:\n${customStyle.trim()}`);
 
+  if ((results || []).some((entry) => entry.segments?.length || entry.frames?.length)) {
+    blocks.push('CITAS: Las transcripciones vienen con marcas de tiempo. Cuando menciones un momento concreto, cítalo con su marca exacta en el formato [mm:ss] (o [h:mm:ss]), tal como aparece en el material.');
+  }
+
   blocks.push(
     'Materiales analizados:\n' +
     (results || []).map((entry, i) => {
       const base = [`Item ${i + 1}`, `Archivo: ${entry.file}`, `Tipo: ${entry.type}`];
+      if (entry.parent) base.push(`Enlazado desde: ${entry.parent}`, `URL: ${entry.sourceUrl}`);
       if (entry.error) {
         base.push(`Error: ${entry.error}`);
       } else {
-        base.push(`Texto:\n${entry.text || '[Sin texto]'}`);
+        if (entry.segments?.length) {
+          // `text` also carries the on-screen block; timed entries are rebuilt from their parts.
+          base.push(`Texto (con marcas de tiempo):\n${formatTimedText(entry.segments)}`);
+          if (entry.frames?.length) base.push(`Texto en pantalla:\n${formatTimedLines(entry.frames)}`);
+        } else if (entry.description && entry.text === entry.description) {
+          base.push(`Descripción visual (sin texto legible):\n${entry.description}`);
+        } else {
+          base.push(`Texto:\n${entry.text || '[Sin texto]'}`);
+          if (entry.description) base.push(`Descripción visual:\n${entry.description}`);
+        }
       }
       if (entry.context) {
         base.push(`Contexto:\n${entry.context}`);
@@ -39,3 +59,15 @@ export function buildAgentPayload({ results, styleKey, preset = '', customStyle
   return blocks.join('\n\n');
 }
 
+export function formatTimedText(segments) {
+  const lines = [];
+  let block = null;
+  for (const segment of segments) {
+    if (!block || segment.start - block.start >= TIMED_BLOCK_SECONDS) {
+      block = { start: segment.start, parts: [] };
+      lines.push(block);
+    }
+    block.parts.push(segment.text.trim());
+  }
+  return formatTimedLines(lines.map((b) => ({ start: b.start, text: b.parts.join(' ') })));
+}
@@ -0,0 +1,160 @@
+/**
+ * Cache layer around the expensive media steps:
+ * - downloads: keyed by URL (+ thread flag, subtitle languages); files are copied into the cache
+ * - OCR: keyed by image (or PDF) hash + OCR providers, model and languages
+ * - vision: keyed by image hash + vision model + the OCR text it was given
+ * - transcripts: keyed by media hash + transcription model (OpenAI or whisper.cpp) + language + clip range; `{ text, segments }`
+ *
+ * Every wrapper takes `cache` (false = `--no-cache`): skip reads, still write.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { downloadRemoteMedia } from '../media/download.js';
+import { normalizeSubtitleLanguages } from '../media/subtitles.js';
+import { extractTextFromImage, extractTextFromPdf, ocrProviderNames } from '../media/ocr.js';
+import { describeImage } from '../media/vision.js';
+import { contentHash } from '../text/contentHash.js';
+import { transcribeMedia, transcriptionModelLabel } from '../media/transcribe.js';
+import { cacheEntryDir, cacheKey, getCached, hashFile, setCached } from './store.js';
+
+export function isCacheEnabled(options = {}, config = {}) {
+  return !options.noCache && config.cache !== false;
+}
+
+export async function cachedDownloadRemoteMedia(url, config, flags = {}, ctx = {}, { cache = true } = {}) {
+  const key = cacheKey({
+    url,
+    thread: Boolean(flags.thread),
+    frames: Boolean(flags.frames),
+    subtitles: flags.whisper ? false : normalizeSubtitleLanguages(config.subtitleLanguages)
+  });
+  const filesDir = path.join(cacheEntryDir('downloads', key), 'files');
+
+  if (cache) {
+    const manifest = await getCached('downloads', key);
+    if (manifest) {
+      const items = await restoreItems(manifest.items, filesDir);
+      if (items) {
+        if (ctx.debug) ctx.debug('Cache hit (download):', url);
+        return { baseDir: null, items };
+      }
+    }
+  }
+
+  const download = await downloadRemoteMedia(url, config, flags, ctx);
+
+  try {
+    await fs.rm(filesDir, { recursive: true, force: true });
+    if (download.baseDir) await fs.cp(download.baseDir, filesDir, { recursive: true });
+    const items = download.items.map((item) => toManifestItem(item, download.baseDir));
+    await setCached('downloads', key, { url, items });
+  } catch (error) {
+    if (ctx.debug) ctx.debug('Cache write failed (download):', error.message);
+  }
+
+  return download;
+}
+
+// `batcher` (createOcrBatcher): misses join a multi-image request instead of one call each.
+export async function cachedExtractTextFromImage({ filePath, config, debug, HumanError, cache = true, batcher = null }) {
+  const key = cacheKey({ kind: 'ocr', file: await hashFile(filePath), ...ocrCacheParts(config) });
+  return withTextCache('ocr', key, { cache, debug, label: filePath }, () =>
+    batcher ? batcher.load(filePath) : extractTextFromImage({ filePath, config, debug, HumanError })
+  );
+}
+
+export async function cachedExtractTextFromPdf({ filePath, config, debug, HumanError, cache = true }) {
+  const key = cacheKey({ kind: 'pdf', file: await hashFile(filePath), ...ocrCacheParts(config) });
+  return withTextCache('ocr', key, { cache, debug, label: filePath }, () =>
+    extractTextFromPdf({ filePath, config, debug, HumanError })
+  );
+}
+
+// Tesseract and Mistral read differently; so do Tesseract runs with other language packs.
+function ocrCacheParts(config) {
+  const providers = ocrProviderNames(config);
+  if (providers.length === 1 && providers[0] === 'mistral') return { model: config.ocrModel || null };
+  return { model: config.ocrModel || null, providers, languages: config.tesseractLanguages || null };
+}
+
+export async function cachedDescribeImage({ filePath, ocrText = '', config, debug, HumanError, cache = true }) {
+  const key = cacheKey({ kind: 'vision', file: await hashFile(filePath), model: config.visionModel || null, ocr: contentHash(ocrText) });
+  return withTextCache('vision', key, { cache, debug, label: filePath }, () =>
+    describeImage({ filePath, ocrText, config, debug, HumanError })
+  );
+}
+
+export async function cachedTranscribeMedia({ openaiClient, filePath, clipRange = null, config, debug, HumanError, cache = true }) {
+  const key = cacheKey({
+    kind: 'transcript',
+    file: await hashFile(filePath),
+    model: transcriptionModelLabel(config, openaiClient) || config.transcribeModel || 'whisper-1',
+    ...(config.transcribeLanguage ? { language: config.transcribeLanguage } : {}),
+    clip: clipRange || null
+  });
+  const transcript = await withTextCache('transcripts', key, { cache, debug, label: filePath }, () =>
+    transcribeMedia({ openaiClient, filePath, clipRange, config, debug, HumanError })
+  );
+  // Entries written before segments were kept are plain strings.
+  return typeof transcript === 'string' ? { text: transcript, segments: [] } : transcript;
+}
+
+async function withTextCache(namespace, key, { cache, debug, label }, produce) {
+  if (cache) {
+    const hit = await getCached(namespace, key);
+    if (textOf(hit) !== null) {
+      if (debug) debug(`Cache hit (${namespace}):`, label);
+      return hit;
+    }
+  }
+
+  const value = await produce();
+  if (textOf(value)?.trim()) {
+    await setCached(namespace, key, value).catch((error) => {
+      if (debug) debug(`Cache write failed (${namespace}):`, error.message);
+    });
+  }
+  return value;
+}
+
+// Cached values are a string (OCR) or `{ text, ... }` (transcripts).
+function textOf(value) {
+  if (typeof value === 'string') return value;
+  return typeof value?.text === 'string' ? value.text : null;
+}
+
+// Items inside the download dir are stored relative to it; virtual text items
+// (thread, fxtwitter, reddit) are stored as-is. `subtitlePath` (captions kept
+// next to a --frames video) follows the same rule.
+function toManifestItem(item, baseDir) {
+  const entry = { ...item };
+  if (baseDir) {
+    const relative = relativeInside(baseDir, item.path);
+    if (relative) Object.assign(entry, { path: undefined, relativePath: relative });
+    const subtitle = item.subtitlePath && relativeInside(baseDir, item.subtitlePath);
+    if (subtitle) Object.assign(entry, { subtitlePath: undefined, relativeSubtitlePath: subtitle });
+  }
+  return entry;
+}
+
+function relativeInside(baseDir, filePath) {
+  const relative = path.relative(baseDir, path.resolve(filePath));
+  return !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : null;
+}
+
+async function restoreItems(manifestItems, filesDir) {
+  const items = [];
+  for (const entry of manifestItems || []) {
+    if (!entry.relativePath) {
+      items.push(entry);
+      continue;
+    }
+    const { relativePath, relativeSubtitlePath, ...item } = entry;
+    const absolutePath = path.join(filesDir, relativePath);
+    // A partially cleared cache is a miss, not an error.
+    if (!(await fs.stat(absolutePath).catch(() => null))) return null;
+    items.push({ ...item, path: absolutePath, ...(relativeSubtitlePath ? { subtitlePath: path.join(filesDir, relativeSubtitlePath) } : {}) });
+  }
+  return items;
+}
@@ -0,0 +1,101 @@
+/**
+ * Content-addressed cache under ~/.cache/twx/<namespace>/<ab>/<key>.json
+ *
+ * Keys are sha256 of the JSON of their parts (URL, file hash, model, clip…),
+ * so changing any input is a miss rather than a stale hit.
+ */
+
+import crypto from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { CACHE_DIR } from '../config/paths.js';
+import { readJSONIfExists } from '../system/fs.js';
+
+export function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+export function cacheEntryDir(namespace, key, { dir = CACHE_DIR } = {}) {
+  return path.join(dir, namespace, key.slice(0, 2), key);
+}
+
+function entryFile(namespace, key, dir) {
+  return path.join(dir, namespace, key.slice(0, 2), `${key}.json`);
+}
+
+export async function getCached(namespace, key, { dir = CACHE_DIR } = {}) {
+  const entry = await readJSONIfExists(entryFile(namespace, key, dir));
+  return entry ? entry.value : undefined;
+}
+
+export async function setCached(namespace, key, value, { dir = CACHE_DIR } = {}) {
+  const target = entryFile(namespace, key, dir);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const tmp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ createdAt: new Date().toISOString(), value }), 'utf8');
+  await fs.rename(tmp, target);
+}
+
+/**
+ * Per-namespace entry count and size on disk.
+ * @returns {Promise<Array<{ namespace: string, entries: number, bytes: number }>>}
+ */
+export async function cacheStats({ dir = CACHE_DIR } = {}) {
+  const namespaces = await readdirSafe(dir);
+  const stats = [];
+
+  for (const namespace of namespaces.sort()) {
+    const root = path.join(dir, namespace);
+    let entries = 0;
+    let bytes = 0;
+
+    for (const bucket of await readdirSafe(root)) {
+      for (const name of await readdirSafe(path.join(root, bucket))) {
+        if (name.endsWith('.json')) entries += 1;
+        bytes += await sizeOf(path.join(root, bucket, name));
+      }
+    }
+
+    stats.push({ namespace, entries, bytes });
+  }
+
+  return stats;
+}
+
+export async function clearCacheEntries(namespace, keys, { dir = CACHE_DIR } = {}) {
+  await Promise.all(keys.map((key) => fs.rm(entryFile(namespace, key, dir), { force: true })));
+}
+
+export async function clearCache(namespace = null, { dir = CACHE_DIR } = {}) {
+  await fs.rm(namespace ? path.join(dir, namespace) : dir, { recursive: true, force: true });
+}
+
+async function readdirSafe(target) {
+  try {
+    return await fs.readdir(target);
+  } catch {
+    return [];
+  }
+}
+
+async function sizeOf(target) {
+  const stats = await fs.stat(target).catch(() => null);
+  if (!stats) return 0;
+  if (!stats.isDirectory()) return stats.size;
+
+  let total = 0;
+  for (const name of await readdirSafe(target)) total += await sizeOf(path.join(target, name));
+  return total;
+}
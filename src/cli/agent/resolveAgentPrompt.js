@@ -0,0 +1,56 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import * as errors from '../../errors.js';
+import { DEFAULT_STYLE, normalizeStyle, resolveAgentPromptPath } from '../style.js';
+import { contentHash } from '../../text/contentHash.js';
+
+export const CUSTOM_STYLE_KEY = 'custom';
+
+/**
+ * System prompt + style text for a run.
+ *
+ * `styleFile` fully replaces the bundled prompt; `styleText` is extra
+ * instructions that go into the payload, on top of whichever prompt is used.
+ */
+export async function resolveAgentPrompt({ style = null, styleFile = null, styleText = null }) {
+  const text = (styleText || '').toString().trim();
+  const styleTextInfo = { styleText: text || null, styleTextHash: contentHash(text) };
+
+  if (styleFile) {
+    const promptPath = path.resolve(styleFile);
+    let promptSource = '';
+    try {
+      promptSource = await fs.readFile(promptPath, 'utf8');
+    } catch (error) {
+      throw new errors.HumanError(`Could not read style file: ${styleFile}`, {
+        tip: 'Check that the path is correct.',
+        technical: error.message
+      });
+    }
+    if (!promptSource.trim()) {
+      throw new errors.HumanError(`Style file is empty: ${styleFile}`);
+    }
+
+    return {
+      styleKey: CUSTOM_STYLE_KEY,
+      promptPath,
+      promptSource,
+      promptName: path.basename(promptPath),
+      promptHash: contentHash(promptSource),
+      ...styleTextInfo
+    };
+  }
+
+  const styleKey = normalizeStyle(style) || DEFAULT_STYLE;
+  const promptPath = resolveAgentPromptPath(styleKey);
+  const promptSource = await fs.readFile(promptPath, 'utf8');
+
+  return {
+    styleKey,
+    promptPath,
+    promptSource,
+    promptName: path.basename(promptPath),
+    promptHash: contentHash(promptSource),
+    ...styleTextInfo
+  };
+}
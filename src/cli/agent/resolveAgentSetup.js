@@ -0,0 +1,40 @@
+import { GoogleGenAI } from '@google/genai';
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+import { normalizeProviderName, resolveModelSelection } from '../modelSelection.js';
+import { resolveAgentModel } from './resolveAgentModel.js';
+import { DEFAULT_STYLE, getStyleModel, normalizeStyle } from '../style.js';
+
+/**
+ * Provider/model/clients for one run.
+ * Precedence: `--model` > the style's default model > config.
+ */
+export function resolveAgentSetup({ options, config }) {
+  const styleModel = options.styleFile ? null : getStyleModel(normalizeStyle(options.style) || DEFAULT_STYLE);
+  const overrideSelection = resolveModelSelection(options.modelOverride || styleModel);
+  const agentProvider = overrideSelection?.provider || normalizeProviderName(config.agentProvider || 'openai');
+  const effectiveConfig = overrideSelection?.model ? { ...config, agentModel: overrideSelection.model } : config;
+  const { model: agentModel } = resolveAgentModel({ provider: agentProvider, config: effectiveConfig });
+
+  const geminiClient = effectiveConfig.geminiApiKey ? new GoogleGenAI({ apiKey: effectiveConfig.geminiApiKey }) : null;
+  const anthropicClient = effectiveConfig.anthropicApiKey ? new Anthropic({ apiKey: effectiveConfig.anthropicApiKey }) : null;
+  const openaiClient = effectiveConfig.openaiApiKey ? new OpenAI({ apiKey: effectiveConfig.openaiApiKey }) : null;
+
+  const agentAvailable =
+    agentProvider === 'claude' ? Boolean(anthropicClient) : agentProvider === 'openai' ? Boolean(openaiClient) : Boolean(geminiClient);
+
+  return {
+    overrideSelection,
+    agentProvider,
+    effectiveConfig,
+    agentModel,
+    geminiClient,
+    anthropicClient,
+    openaiClient,
+    agentAvailable
+  };
+}
+
+export function providerDisplayName(provider) {
+  return provider === 'claude' ? 'Anthropic/Claude' : provider === 'openai' ? 'OpenAI' : 'Gemini';
+}
@@ -4,33 +4,43 @@
  * Orchestrates the AI analysis with elegant streaming output.
  */
 
-import fs from 'node:fs/promises';
 import * as ui from '../../ui.js';
 import * as errors from '../../errors.js';
 import { buildAgentPayload } from '../../agent/payload.js';
 import { streamAgent } from '../../agent/streamAgent.js';
 import { createBoxedStreamer, createSmoothWriter } from '../streamBox.js';
-import { normalizeStyle, resolveAgentPromptPath } from '../style.js';
 import { maskConfig } from '../../system/maskConfig.js';
+import { linkTimestamps } from '../../text/timestamps.js';
 import { resolveAgentModel } from './resolveAgentModel.js';
+import { resolveAgentPrompt } from './resolveAgentPrompt.js';
 
-export async function runInsightAgent({ provider, results, style, config, directive }) {
-  const normalizedStyle = normalizeStyle(style) || 'bukowski';
-  const promptPath = resolveAgentPromptPath(normalizedStyle);
-  const promptSource = await fs.readFile(promptPath, 'utf8');
+export async function runInsightAgent({
+  provider,
+  results,
+  style,
+  styleFile = null,
+  styleText = null,
+  prompt: resolvedPrompt = null,
+  config,
+  directive,
+  sourceUrl = null,
+  quiet = false
+}) {
+  const prompt = resolvedPrompt || (await resolveAgentPrompt({ style, styleFile, styleText }));
+  const { promptPath, promptSource } = prompt;
 
   const { provider: providerKey, model } = resolveAgentModel({ provider, config });
 
-  const spin = ui.spinner(model ? `Analyzing... (${model})` : 'Analyzing...');
+  const spin = ui.spinner(model ? `Analyzing... (${model})` : 'Analyzing...', { silent: quiet });
 
   let payload = '';
 
   try {
     payload = buildAgentPayload({
       results,
-      styleKey: normalizedStyle,
+      styleKey: prompt.styleKey,
       preset: '',
-      customStyle: '',
+      customStyle: prompt.styleText || '',
       directive,
     });
 
@@ -48,23 +58,26 @@ export async function runInsightAgent({ provider, results, style, config, direct
       payload,
       config,
       onStartStreaming: () => {
+        if (quiet) return;
         streamed = true;
         spin.success('');
         boxWriter = createBoxedStreamer(process.stdout, {
           widthRatio: 0.65,
           model: model,
           rawTitle: 'ANALYSIS',
+          transformWord: sourceUrl ? (word) => linkTimestamps(word, sourceUrl) : null,
         });
         boxWriter.start();
         smooth = createSmoothWriter(boxWriter);
       },
       onToken: (textChunk) => {
-        if (!textChunk) return;
+        if (!textChunk || quiet) return;
         if (!boxWriter) {
           boxWriter = createBoxedStreamer(process.stdout, {
             widthRatio: 0.65,
             model: model,
             rawTitle: 'ANALYSIS',
+            transformWord: sourceUrl ? (word) => linkTimestamps(word, sourceUrl) : null,
           });
           boxWriter.start();
           smooth = createSmoothWriter(boxWriter);
@@ -82,6 +95,7 @@ export async function runInsightAgent({ provider, results, style, config, direct
     }
 
     agentData.promptPath = promptPath;
+    agentData.promptHash = prompt.promptHash;
 
     return {
       agentData,
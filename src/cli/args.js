@@ -26,11 +26,30 @@ export function parseArgs(argv) {
     thread: false,
     clipStart: null,
     clipEnd: null,
-    clipRange: null,
+    clipRanges: [],
+    around: null,
+    aroundWindow: null,
     showTranscript: false,
     configCommand: false,
     configReset: false,
-    transcriptOnly: false
+    transcriptOnly: false,
+    batch: false,
+    batchSource: null,
+    concurrency: null,
+    stylesCommand: false,
+    stylesArgv: [],
+    syncCommand: false,
+    cacheCommand: false,
+    cacheArgv: [],
+    noCache: false,
+    forceWhisper: false,
+    frames: false,
+    followLinks: 0,
+    vision: false,
+    ocrOnly: false,
+    rerun: false,
+    rerunId: null,
+    pickStyle: false
   };
 
   const positional = [];
@@ -43,6 +62,66 @@ export function parseArgs(argv) {
       continue;
     }
 
+    if ((arg === 'styles' || arg === 'style') && positional.length === 0) {
+      // `twx styles <action> ...` parses its own arguments.
+      options.stylesCommand = true;
+      options.stylesArgv = argv.slice(i + 1);
+      if (options.stylesArgv.includes('--verbose')) options.verbose = true;
+      return options;
+    }
+
+    if (arg === 'batch' && positional.length === 0) {
+      options.batch = true;
+      const next = argv[i + 1];
+      if (next && (next === '-' || !next.startsWith('-'))) options.batchSource = argv[++i];
+      continue;
+    }
+    if (arg === '--concurrency' || arg === '-c') {
+      options.concurrency = Number(argv[++i]) || null;
+      continue;
+    }
+
+    if (arg === 'cache' && positional.length === 0) {
+      // `twx cache stats|clear [namespace]`
+      options.cacheCommand = true;
+      options.cacheArgv = argv.slice(i + 1).filter((a) => !a.startsWith('-'));
+      if (argv.includes('--verbose')) options.verbose = true;
+      return options;
+    }
+    if (arg === '--no-cache') {
+      options.noCache = true;
+      continue;
+    }
+    if (arg === '--whisper') {
+      options.forceWhisper = true;
+      continue;
+    }
+    if (arg === '--frames') {
+      options.frames = true;
+      continue;
+    }
+    if (arg === '--follow-links') {
+      // Optional depth: `--follow-links` = 1, `--follow-links 2` = links of the linked pages too.
+      const next = argv[i + 1];
+      options.followLinks = next && /^\d+$/.test(next) ? Math.max(1, Number(argv[++i])) : 1;
+      continue;
+    }
+    if (arg === '--vision' || arg === '--ocr-only') {
+      options.vision = arg === '--vision';
+      options.ocrOnly = arg === '--ocr-only';
+      continue;
+    }
+
+    if (arg === 'rerun' && positional.length === 0) {
+      options.rerun = true;
+      continue;
+    }
+
+    if (arg === 'sync' && positional.length === 0) {
+      options.syncCommand = true;
+      continue;
+    }
+
     if (arg === 'config') {
       options.configCommand = true;
       continue;
@@ -134,14 +213,24 @@ export function parseArgs(argv) {
     }
 
     if (arg === '--clip' || arg === '--range') {
+      // --clip 0:30-1:00,5:00-6:10 → one range per comma
       const val = argv[++i];
-      if (val) {
-        const [startRaw, endRaw] = val.split(/[-–]/);
-        options.clipStart = parseTimecode(startRaw);
-        if (endRaw) options.clipEnd = parseTimecode(endRaw);
+      for (const part of (val || '').split(',')) {
+        const [startRaw, endRaw] = part.split(/[-–]/);
+        const start = parseTimecode(startRaw);
+        const end = endRaw ? parseTimecode(endRaw) : null;
+        if (start != null || end != null) options.clipRanges.push({ start: start ?? 0, end });
       }
       continue;
     }
+    if (arg === '--around') {
+      options.around = argv[++i] || null;
+      continue;
+    }
+    if (arg === '--window') {
+      options.aroundWindow = parseTimecode(argv[++i]);
+      continue;
+    }
     if (arg === '--start' || arg === '--from') {
       options.clipStart = parseTimecode(argv[++i]);
       continue;
@@ -158,8 +247,8 @@ export function parseArgs(argv) {
     positional.push(arg);
   }
 
-  if (options.clipStart != null || options.clipEnd != null) {
-    options.clipRange = { start: options.clipStart ?? 0, end: options.clipEnd ?? null };
+  if (!options.clipRanges.length && (options.clipStart != null || options.clipEnd != null)) {
+    options.clipRanges.push({ start: options.clipStart ?? 0, end: options.clipEnd ?? null });
   }
 
   if (options.list) {
@@ -168,6 +257,17 @@ export function parseArgs(argv) {
     return options;
   }
 
+  if (options.rerun) {
+    // twx rerun <id> [style] ["directive"]: any order after the id.
+    options.rerunId = positional[0] || null;
+    for (const value of positional.slice(1)) {
+      const maybeStyle = options.style ? null : normalizeStyle(value);
+      if (maybeStyle) options.style = maybeStyle;
+      else if (!options.directive) options.directive = value;
+    }
+    return options;
+  }
+
   if (positional.length > 0) {
     const first = positional[0];
 
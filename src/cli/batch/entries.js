@@ -0,0 +1,48 @@
+import fs from 'node:fs/promises';
+import process from 'node:process';
+
+/**
+ * Batch input: one URL or path per line. Blank lines and `#` comments are skipped.
+ */
+export async function readBatchEntries(source, { HumanError }) {
+  const fromStdin = !source || source === '-';
+
+  if (fromStdin && process.stdin.isTTY) {
+    throw new HumanError('No batch input.', {
+      tip: 'Usage: twx batch <file> or pipe URLs: cat urls.txt | twx batch -'
+    });
+  }
+
+  let raw = '';
+  try {
+    raw = fromStdin ? await readStdin() : await fs.readFile(source, 'utf8');
+  } catch (error) {
+    throw new HumanError(`Could not read batch file: ${source}`, {
+      tip: 'Check that the path is correct.',
+      technical: error.message
+    });
+  }
+
+  return parseBatchEntries(raw);
+}
+
+export function parseBatchEntries(raw) {
+  const seen = new Set();
+  const entries = [];
+
+  for (const line of String(raw || '').split(/\r?\n/)) {
+    const value = line.trim();
+    if (!value || value.startsWith('#')) continue;
+    if (seen.has(value)) continue;
+    seen.add(value);
+    entries.push(/^https?:\/\//i.test(value) ? { url: value, inputPath: null } : { url: null, inputPath: value });
+  }
+
+  return entries;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
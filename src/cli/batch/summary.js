@@ -0,0 +1,60 @@
+/**
+ * Batch summary table: one row per entry, totals at the bottom.
+ */
+
+import { style, symbols, spacing, truncate } from '../../ui/theme.js';
+import { formatUSD } from '../../cost.js';
+
+export function summarizeBatch(outcomes) {
+  const succeeded = outcomes.filter((o) => o.ok);
+  const costs = succeeded.map((o) => o.costUSD).filter((v) => Number.isFinite(v));
+
+  return {
+    total: outcomes.length,
+    succeeded: succeeded.length,
+    failed: outcomes.length - succeeded.length,
+    totalCostUSD: costs.reduce((sum, v) => sum + v, 0),
+    unpricedRuns: succeeded.length - costs.length
+  };
+}
+
+export function showBatchSummary(outcomes, totals) {
+  const termWidth = process.stdout.columns || 80;
+  const idWidth = 24;
+  const costWidth = 10;
+  const titleWidth = Math.max(20, termWidth - idWidth - costWidth - 14);
+
+  console.log('');
+  console.log(
+    `${spacing.indent}${style.dim('  #')}  ${style.dim('Run'.padEnd(idWidth))}  ${style.dim('Title'.padEnd(titleWidth))}  ${style.dim('Cost')}`
+  );
+
+  outcomes.forEach((o, i) => {
+    const num = String(i + 1).padStart(3);
+    const icon = o.ok ? style.success(symbols.success) : style.error(symbols.error);
+    const source = o.entry.url || o.entry.inputPath;
+
+    if (!o.ok) {
+      const label = truncate(`${source} — ${o.error}`, titleWidth);
+      console.log(`${spacing.indent}${style.muted(num)}  ${icon} ${style.dim('failed'.padEnd(idWidth - 2))}  ${style.error(label)}`);
+      return;
+    }
+
+    const id = (o.runId || 'not saved').padEnd(idWidth - 2);
+    const title = truncate(o.title || source, titleWidth).padEnd(titleWidth);
+    const cost = Number.isFinite(o.costUSD) ? formatUSD(o.costUSD) : '—';
+    console.log(`${spacing.indent}${style.muted(num)}  ${icon} ${style.muted(id)}  ${style.primary(title)}  ${style.secondary(cost)}`);
+  });
+
+  const costLine = totals.unpricedRuns
+    ? `${formatUSD(totals.totalCostUSD)} (+${totals.unpricedRuns} unpriced)`
+    : formatUSD(totals.totalCostUSD);
+
+  console.log('');
+  console.log(
+    `${spacing.indent}${style.primary(`${totals.succeeded}/${totals.total} analyzed`)}` +
+      `${totals.failed ? ` ${style.muted(symbols.middot)} ${style.error(`${totals.failed} failed`)}` : ''}` +
+      ` ${style.muted(symbols.middot)} ${style.secondary(`total ${costLine}`)}`
+  );
+  console.log('');
+}
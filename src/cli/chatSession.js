@@ -52,7 +52,7 @@ export async function runCliChatSession({
       const payload = buildPayload({
         results,
         styleKey: options.styleKey,
-        preset: '',
+        preset: options.styleText || '',
         customStyle: input,
         directive: options.directive,
       });
@@ -120,7 +120,7 @@ export async function runCliChatSession({
         const response = await client.models.generateContent({
           model,
           contents: [...(conversationHistory || []), userContent],
-          systemInstruction: { parts: [{ text: promptPath ? await fs.readFile(promptPath, 'utf8') : '' }] },
+          systemInstruction: { parts: [{ text: promptSource || (promptPath ? await fs.readFile(promptPath, 'utf8') : '') }] },
           config: {
             maxOutputTokens: config.agentMaxOutputTokens || 64000,
             temperature: 1,
@@ -0,0 +1,132 @@
+/**
+ * Batch command
+ *
+ * `twx batch <file|->` runs the analyze pipeline for every entry with a
+ * concurrency limit. Failures are reported, never fatal for the rest.
+ */
+
+import process from 'node:process';
+import * as ui from '../../ui.js';
+import * as errors from '../../errors.js';
+import { loadConfig } from '../../config.js';
+import { resolveAgentPrompt } from '../agent/resolveAgentPrompt.js';
+import { runInsightAgent } from '../agent/runInsightAgent.js';
+import { resolveAgentSetup, providerDisplayName } from '../agent/resolveAgentSetup.js';
+import { extractResults } from '../pipeline/extract.js';
+import { ocrProviderNames } from '../../media/ocr.js';
+import { persistRun } from '../persist.js';
+import { estimateOpenAICostUSD } from '../../cost.js';
+import { sanitizeTitle } from '../text.js';
+import { mapWithConcurrency, toConcurrency } from '../../system/concurrency.js';
+import { readBatchEntries } from '../batch/entries.js';
+import { showBatchSummary, summarizeBatch } from '../batch/summary.js';
+import { writeJson, writeJsonError } from '../jsonOutput.js';
+
+export async function handleBatchCommand(options) {
+  const json = Boolean(options.json);
+
+  try {
+    const config = await loadConfig();
+    const setup = resolveAgentSetup({ options, config });
+
+    if (!ocrProviderNames(config).length) throw new errors.HumanError('Missing MISTRAL_API_KEY for OCR.', { tip: 'Run "twx config" to add it, or set ocrProvider to "tesseract".' });
+    if (!setup.agentAvailable) {
+      throw new errors.HumanError(`Missing ${providerDisplayName(setup.agentProvider)} API key for analysis.`, {
+        tip: 'Run "twx config" to set it, or pick another provider with --model.'
+      });
+    }
+
+    const entries = await readBatchEntries(options.batchSource, { HumanError: errors.HumanError });
+    if (!entries.length) {
+      throw new errors.HumanError('The batch list is empty.', { tip: 'Put one URL or path per line.' });
+    }
+
+    const concurrency = Math.min(toConcurrency(options.concurrency ?? config.batchConcurrency, 3), entries.length);
+    const prompt = await resolveAgentPrompt({ style: options.style, styleFile: options.styleFile, styleText: options.styleText });
+    ui.debug('Batch:', { entries: entries.length, concurrency, style: prompt.styleKey });
+
+    let done = 0;
+    let failed = 0;
+    const spin = ui.spinner(`Batch 0/${entries.length} (${concurrency} at a time)...`, { silent: json });
+    const tick = () => spin.update(`Batch ${done}/${entries.length}${failed ? ` · ${failed} failed` : ''}...`);
+
+    const outcomes = await mapWithConcurrency(entries, concurrency, async (entry) => {
+      try {
+        return await analyzeEntry({ entry, options, setup, config, prompt });
+      } catch (error) {
+        failed++;
+        ui.debug('Batch entry failed:', entry, error?.message);
+        return { ok: false, entry, error: error?.message || String(error) };
+      } finally {
+        done++;
+        tick();
+      }
+    });
+
+    spin.success('');
+
+    const totals = summarizeBatch(outcomes);
+    if (json) {
+      writeJson({ ok: totals.failed === 0, entries: outcomes, totals });
+    } else {
+      showBatchSummary(outcomes, totals);
+    }
+
+    if (totals.failed) process.exitCode = 1;
+  } catch (error) {
+    if (json) writeJsonError(error);
+    else errors.show(error, { verbose: options.verbose });
+    process.exitCode = 1;
+  }
+}
+
+async function analyzeEntry({ entry, options, setup, config, prompt }) {
+  const entryOptions = { ...options, url: entry.url, inputPath: entry.inputPath, batch: false };
+
+  const results = await extractResults({
+    options: entryOptions,
+    config,
+    openaiClient: setup.openaiClient,
+    debug: ui.debug
+  });
+
+  if (!results.some((r) => r.text)) {
+    const firstError = results.find((r) => r.error)?.error;
+    throw new errors.HumanError(firstError || 'No text found to analyze.');
+  }
+
+  const agentResult = await runInsightAgent({
+    provider: setup.agentProvider,
+    results,
+    style: prompt.styleKey,
+    prompt,
+    config: setup.effectiveConfig,
+    directive: options.directive,
+    quiet: true
+  });
+
+  const agentMeta = agentResult?.meta || null;
+  const costEstimate =
+    agentMeta?.provider === 'openai' ? estimateOpenAICostUSD({ model: agentMeta.model, usage: agentMeta.usage }) : null;
+
+  const savedRun = await persistRun({
+    options: entryOptions,
+    config: setup.effectiveConfig,
+    results,
+    agentData: agentResult?.agentData || null,
+    agentMeta,
+    costEstimate,
+    rawMode: false,
+    agentProvider: setup.agentProvider,
+    styleUsed: prompt.styleKey
+  });
+
+  return {
+    ok: true,
+    entry,
+    runId: savedRun?._id ? String(savedRun._id) : null,
+    title: sanitizeTitle(agentResult?.agentData?.title) || savedRun?.title || null,
+    costUSD: costEstimate?.totalUSD ?? null,
+    failedItems: results.filter((r) => r.error).length
+  };
+}
@@ -0,0 +1,56 @@
+import process from 'node:process';
+import * as ui from '../../ui.js';
+import * as errors from '../../errors.js';
+import { CACHE_DIR } from '../../config.js';
+import { cacheStats, clearCache } from '../../cache/store.js';
+
+const NAMESPACES = ['downloads', 'ocr', 'vision', 'transcripts', 'checkpoints'];
+
+export async function handleCacheCommand(options) {
+  const [action = 'stats', namespace = null] = options.cacheArgv || [];
+
+  try {
+    if (action === 'stats') return await showCacheStats();
+    if (action === 'clear') return await clearCacheNamespace(namespace);
+
+    throw new errors.HumanError(`Unknown cache action: ${action}`, {
+      tip: `Use: twx cache stats | twx cache clear [${NAMESPACES.join('|')}]`
+    });
+  } catch (error) {
+    errors.show(error, { verbose: options.verbose });
+    process.exitCode = 1;
+  }
+}
+
+async function showCacheStats() {
+  const stats = await cacheStats();
+  const s = ui.spacing.indent;
+  const totalBytes = stats.reduce((sum, row) => sum + row.bytes, 0);
+
+  console.log('');
+  if (!stats.length) {
+    console.log(`${s}${ui.style.secondary('Cache is empty.')}`);
+  }
+  for (const row of stats) {
+    console.log(
+      `${s}${ui.style.primary(row.namespace.padEnd(14))}${ui.style.secondary(`${ui.formatNumber(row.entries)} entries`.padEnd(16))}${ui.style.dim(formatBytes(row.bytes))}`
+    );
+  }
+  console.log('');
+  console.log(`${s}${ui.style.dim(`${CACHE_DIR} · ${formatBytes(totalBytes)}`)}`);
+  console.log('');
+}
+
+async function clearCacheNamespace(namespace) {
+  if (namespace && !NAMESPACES.includes(namespace)) {
+    throw new errors.HumanError(`Unknown cache section: ${namespace}`, { tip: `Use one of: ${NAMESPACES.join(', ')}` });
+  }
+  await clearCache(namespace);
+  ui.log.success(namespace ? `Cleared ${namespace} cache.` : 'Cache cleared.');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
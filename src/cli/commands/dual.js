@@ -1,18 +1,12 @@
 import fs from 'node:fs/promises';
-import path from 'node:path';
 import process from 'node:process';
-import OpenAI from 'openai';
 import * as ui from '../../ui.js';
 import * as errors from '../../errors.js';
 import { loadConfig } from '../../config.js';
-import { collectMediaItems } from '../../media/collect.js';
-import { gatherContextForItems } from '../../media/context.js';
-import { extractTextFromImage } from '../../media/ocr.js';
-import { transcribeMedia } from '../../media/transcribe.js';
-import { readPlainText } from '../../media/readPlainText.js';
-import { normalizeProviderName, resolveModelSelection } from '../modelSelection.js';
-import { normalizeStyle, resolveAgentPromptPath } from '../style.js';
-import { resolveAgentModel } from '../agent/resolveAgentModel.js';
+import { extractResults } from '../pipeline/extract.js';
+import { ocrProviderNames } from '../../media/ocr.js';
+import { getStyleLabel, resolveAgentPromptPath, resolveDualStyles } from '../style.js';
+import { providerDisplayName, resolveAgentSetup } from '../agent/resolveAgentSetup.js';
 import { buildAgentPayload } from '../../agent/payload.js';
 import { streamAgent } from '../../agent/streamAgent.js';
 import { persistRun } from '../persist.js';
@@ -21,112 +15,10 @@ import { stripXmlTags } from '../../text/stripXmlTags.js';
 import { addConversation } from '../../db.js';
 import { createDualUi } from '../dual/ui.js';
 
-const STYLE_LABELS = {
-  bukowski: 'Bukowski',
-  musk: 'Elon',
-  nunc: 'NUNC',
-};
-
-function formatStyleLabel(styleKey) {
-  return STYLE_LABELS[styleKey] || styleKey;
-}
-
-function resolveDualStyles(raw) {
-  const defaults = ['bukowski', 'musk'];
-  if (!raw) return defaults;
-
-  const parts = raw
-    .split(',')
-    .map((v) => v.trim())
-    .filter(Boolean)
-    .map((v) => normalizeStyle(v) || null)
-    .filter(Boolean);
-
-  if (parts.length === 0) return defaults;
-
-  const unique = [];
-  for (const key of parts) {
-    if (!unique.includes(key)) unique.push(key);
-  }
-
-  if (unique.length === 1) {
-    const fallback = unique[0] === 'bukowski' ? 'musk' : 'bukowski';
-    unique.push(fallback);
-  }
-
-  return unique.slice(0, 2);
-}
-
 function buildFooterHint() {
   return 'Up/Down scroll 2 lines (sync)  Tab/Opt+Left/Right switch  Enter send  Ctrl+B both  Ctrl+U/D page  Ctrl+K/J top/bottom  Ctrl+C quit';
 }
 
-async function extractResults({ options, config, openaiClient, onStatus }) {
-  const { items: mediaItems, cleanup } = await collectMediaItems(options, config, {
-    debug: null,
-    HumanError: errors.HumanError,
-  });
-
-  if (!mediaItems.length) {
-    throw new errors.HumanError('No content found to process.', {
-      tip: 'Check that the URL is valid or the folder contains image/audio/video files.',
-    });
-  }
-
-  const results = [];
-  const contextMap = await gatherContextForItems(mediaItems);
-
-  for (let i = 0; i < mediaItems.length; i++) {
-    const item = mediaItems[i];
-    const absolutePath = path.resolve(item.path);
-    const relativePath = path.relative(process.cwd(), absolutePath) || absolutePath;
-
-    const opModel = item.type === 'image' ? config.ocrModel : item.type === 'video' || item.type === 'audio' ? config.transcribeModel : null;
-    if (onStatus) onStatus(opModel ? `Processing ${i + 1}/${mediaItems.length} (${opModel})` : `Processing ${i + 1}/${mediaItems.length}`);
-
-    try {
-      let text = '';
-
-      if (item.type === 'image') {
-        text = await extractTextFromImage({ filePath: absolutePath, config, debug: null, HumanError: errors.HumanError });
-      } else if (item.type === 'video' || item.type === 'audio') {
-        if (!openaiClient) {
-          throw new errors.HumanError('OpenAI API key required for audio/video transcription.', {
-            tip: 'Run "twx config" to add your OpenAI key.',
-          });
-        }
-        text = await transcribeMedia({
-          openaiClient,
-          filePath: absolutePath,
-          clipRange: options.clipRange,
-          config,
-          debug: null,
-          HumanError: errors.HumanError,
-        });
-      } else if (item.type === 'text') {
-        text = await readPlainText(absolutePath, item.inlineText);
-      }
-
-      const context = contextMap.get(absolutePath) || null;
-      results.push({ file: relativePath, type: item.type, text, context });
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      const context = contextMap.get(absolutePath) || null;
-      results.push({ file: relativePath, type: item.type, error: message, context });
-    }
-  }
-
-  if (cleanup) {
-    try {
-      await cleanup();
-    } catch {
-      // ignore cleanup errors
-    }
-  }
-
-  return results;
-}
-
 async function runPaneAnalysis({
   paneState,
   provider,
@@ -151,7 +43,7 @@ async function runPaneAnalysis({
     results,
     styleKey,
     preset: '',
-    customStyle: '',
+    customStyle: options.styleText || '',
     directive,
   });
 
@@ -206,7 +98,7 @@ async function runPaneAnalysis({
   pane.setStatus('Ready');
 }
 
-async function sendChatMessage({ paneState, provider, model, config, results, directive }) {
+async function sendChatMessage({ paneState, provider, model, config, results, directive, styleText = '' }) {
   const { pane, styleKey, label } = paneState;
 
   const raw = paneState.pendingInput || '';
@@ -231,7 +123,7 @@ async function sendChatMessage({ paneState, provider, model, config, results, di
   const payload = buildAgentPayload({
     results,
     styleKey,
-    preset: '',
+    preset: styleText || '',
     customStyle: text,
     directive,
   });
@@ -275,26 +167,19 @@ export async function handleDualCommand(options) {
     return;
   }
 
-  const config = await loadConfig();
-  const overrideSelection = resolveModelSelection(options.modelOverride);
-  const agentProvider = overrideSelection?.provider || normalizeProviderName(config.agentProvider || 'openai');
-  const effectiveConfig = overrideSelection?.model ? { ...config, agentModel: overrideSelection.model } : config;
-  const { model: agentModel } = resolveAgentModel({ provider: agentProvider, config: effectiveConfig });
-
-  if (!config.mistralApiKey) {
-    errors.show(new Error('Missing MISTRAL_API_KEY'));
+  if (options.styleFile) {
+    // Each pane runs one of the two styles; a replacement prompt would erase the comparison.
+    errors.show(new errors.HumanError('--style-file does not work in dual mode.', {
+      tip: 'Pick the two voices with --styles a,b, or use --style-text to add instructions to both.'
+    }));
+    process.exitCode = 1;
     return;
   }
-  if (agentProvider === 'openai' && !effectiveConfig.openaiApiKey) {
-    errors.show(new errors.HumanError('Missing OpenAI API key for analysis.', { tip: 'Run "twx config" to set it.' }));
-    return;
-  }
-  if (agentProvider === 'claude' && !effectiveConfig.anthropicApiKey) {
-    errors.show(new errors.HumanError('Missing Anthropic/Claude API key for analysis.', { tip: 'Run "twx config" to set it.' }));
-    return;
-  }
-  if (agentProvider === 'gemini' && !effectiveConfig.geminiApiKey) {
-    errors.show(new errors.HumanError('Missing Gemini API key for analysis.', { tip: 'Run "twx config" to set it.' }));
+
+  const config = await loadConfig();
+
+  if (!ocrProviderNames(config).length) {
+    errors.show(new errors.HumanError('Missing MISTRAL_API_KEY for OCR.', { tip: 'Run "twx config" to add it, or set ocrProvider to "tesseract".' }));
     return;
   }
 
@@ -302,8 +187,16 @@ export async function handleDualCommand(options) {
   const leftStyle = styles[0];
   const rightStyle = styles[1];
 
-  const leftLabel = `${formatStyleLabel(leftStyle)} · ${agentModel}`;
-  const rightLabel = `${formatStyleLabel(rightStyle)} · ${agentModel}`;
+  // Same precedence as a single run, per pane: --model > the style's model > config.
+  const setups = styles.map((style) => resolveAgentSetup({ options: { ...options, style }, config }));
+  const missing = setups.find((setup) => !setup.agentAvailable);
+  if (missing) {
+    errors.show(new errors.HumanError(`Missing ${providerDisplayName(missing.agentProvider)} API key for analysis.`, { tip: 'Run "twx config" to set it.' }));
+    return;
+  }
+
+  const leftLabel = `${getStyleLabel(leftStyle)} · ${setups[0].agentModel}`;
+  const rightLabel = `${getStyleLabel(rightStyle)} · ${setups[1].agentModel}`;
 
   const dualUi = createDualUi({ leftLabel, rightLabel, footerText: buildFooterHint() });
   const [leftPane, rightPane] = dualUi.panes;
@@ -312,7 +205,10 @@ export async function handleDualCommand(options) {
     {
       pane: leftPane,
       styleKey: leftStyle,
-      label: formatStyleLabel(leftStyle),
+      label: getStyleLabel(leftStyle),
+      provider: setups[0].agentProvider,
+      model: setups[0].agentModel,
+      config: setups[0].effectiveConfig,
       history: [],
       promptSource: '',
       promptPath: '',
@@ -323,7 +219,10 @@ export async function handleDualCommand(options) {
     {
       pane: rightPane,
       styleKey: rightStyle,
-      label: formatStyleLabel(rightStyle),
+      label: getStyleLabel(rightStyle),
+      provider: setups[1].agentProvider,
+      model: setups[1].agentModel,
+      config: setups[1].effectiveConfig,
       history: [],
       promptSource: '',
       promptPath: '',
@@ -410,11 +309,12 @@ export async function handleDualCommand(options) {
     }
     await Promise.all(paneStates.map((state) => sendChatMessage({
       paneState: state,
-      provider: agentProvider,
-      model: agentModel,
-      config: effectiveConfig,
+      provider: state.provider,
+      model: state.model,
+      config: state.config,
       results: state.results,
       directive: options.directive,
+      styleText: options.styleText,
     })));
     active.pane.input.focus();
     dualUi.setFooter(buildFooterHint());
@@ -437,11 +337,12 @@ export async function handleDualCommand(options) {
       state.pendingInput = value || '';
       await sendChatMessage({
         paneState: state,
-        provider: agentProvider,
-        model: agentModel,
-        config: effectiveConfig,
+        provider: state.provider,
+        model: state.model,
+        config: state.config,
         results: state.results,
         directive: options.directive,
+        styleText: options.styleText,
       });
       state.pane.input.focus();
       dualUi.setFooter(buildFooterHint());
@@ -453,12 +354,16 @@ export async function handleDualCommand(options) {
   try {
     paneStates.forEach((state) => state.pane.setStatus('Reading'));
 
-    const openaiClient = effectiveConfig.openaiApiKey ? new OpenAI({ apiKey: effectiveConfig.openaiApiKey }) : null;
+    const { openaiClient } = setups[0];
     const results = await extractResults({
       options,
-      config: effectiveConfig,
+      config,
       openaiClient,
-      onStatus: (status) => paneStates.forEach((state) => state.pane.setStatus(status)),
+      onProgress: ({ phase, completed, total, model }) => {
+        if (phase === 'collected') return;
+        const status = `Processing ${completed}/${total}${model ? ` (${model})` : ''}`;
+        paneStates.forEach((state) => state.pane.setStatus(status));
+      },
     });
 
     if (!results.some((r) => r.text)) {
@@ -479,12 +384,12 @@ export async function handleDualCommand(options) {
     await Promise.all(paneStates.map((state) =>
       runPaneAnalysis({
         paneState: state,
-        provider: agentProvider,
-        model: agentModel,
-        config: effectiveConfig,
+        provider: state.provider,
+        model: state.model,
+        config: state.config,
         results,
         directive: options.directive,
-        agentProvider,
+        agentProvider: state.provider,
         options,
       })
     ));
@@ -4,7 +4,9 @@ import * as errors from '../../errors.js';
 import { listRuns, getRunById, toggleFavorite } from '../../db.js';
 import { normalizeProviderName } from '../modelSelection.js';
 import { startConversationLoop } from '../startConversationLoop.js';
+import { handleRerunCommand } from './rerun.js';
 import { stripXmlTags } from '../../text/stripXmlTags.js';
+import { safeStat } from '../../system/fs.js';
 
 export async function handleListCommand(options) {
   try {
@@ -25,6 +27,11 @@ export async function handleListCommand(options) {
         break;
       }
 
+      if (selected.action === 'rerun') {
+        await handleRerunCommand({ ...options, rerunId: selected.id, pickStyle: true });
+        continue;
+      }
+
       await handleShowCommand(selected, options);
     }
   } catch (error) {
@@ -66,10 +73,12 @@ export async function handleShowCommand(id, options = {}) {
     if (!canChat) return;
 
     const conversationHistory = buildConversationHistory({ provider, run, dbConversations });
+    // Custom voice: reuse the prompt file only if it is still on disk.
+    const styleFile = run.styleFile && (await safeStat(run.styleFile)) ? run.styleFile : null;
     await startConversationLoop({
       provider,
       results: run.results || [],
-      options: { style: run.style, mode: run.mode },
+      options: { style: run.style, mode: run.mode, styleFile, styleText: run.styleText || null },
       config,
       conversationHistory,
       runId: run._id
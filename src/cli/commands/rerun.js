@@ -0,0 +1,98 @@
+/**
+ * `twx rerun <id> [style] ["directive"] [--model x]`
+ *
+ * New take on a stored run: its saved results go straight to the agent (no
+ * download, OCR or transcription) and the new run keeps `parentId`.
+ */
+
+import process from 'node:process';
+import * as ui from '../../ui.js';
+import * as errors from '../../errors.js';
+import { loadConfig } from '../../config.js';
+import { getRunById } from '../../db.js';
+import { getStyles } from '../../styles/registry.js';
+import { resolveAgentPrompt } from '../agent/resolveAgentPrompt.js';
+import { resolveAgentSetup } from '../agent/resolveAgentSetup.js';
+import { runInsightStage } from '../pipeline/insight.js';
+import { safeStat } from '../../system/fs.js';
+import { writeJsonError } from '../jsonOutput.js';
+
+export async function handleRerunCommand(options) {
+  const json = Boolean(options.json);
+
+  try {
+    if (!options.rerunId) {
+      throw new errors.HumanError('Run id required.', { tip: 'Usage: twx rerun <id> [style] ["directive"] [--model x]' });
+    }
+
+    const run = await getRunById(options.rerunId);
+    if (!run) {
+      throw new errors.HumanError(`Entry not found: ${options.rerunId}`, { tip: 'See your runs with: twx list' });
+    }
+
+    const results = (run.results || []).filter((r) => r.text || r.error);
+    if (!results.some((r) => r.text)) {
+      throw new errors.HumanError('That run has no stored text to analyze.', {
+        tip: `Analyze the source again: twx ${run.source?.url || run.source?.path || '<url>'}`
+      });
+    }
+
+    const picked = options.pickStyle ? await pickRerunOptions(run) : {};
+    if (picked === null) return;
+
+    const rerunOptions = await buildRerunOptions(run, { ...options, ...picked });
+    const config = await loadConfig();
+    const setup = resolveAgentSetup({ options: rerunOptions, config });
+    const prompt = await resolveAgentPrompt({
+      style: rerunOptions.style,
+      styleFile: rerunOptions.styleFile,
+      styleText: rerunOptions.styleText
+    });
+
+    if (!json) ui.clack.log.message(ui.style.dim(`Rerun of ${run._id} · ${prompt.styleKey}${setup.agentModel ? ` · ${setup.agentModel}` : ''}`));
+
+    await runInsightStage({ options: rerunOptions, setup, prompt, results });
+  } catch (error) {
+    if (json) writeJsonError(error);
+    else errors.show(error, { verbose: options.verbose });
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Style/voice: a style given now wins; otherwise keep the original voice
+ * (including its --style-file if it is still on disk, and --style-text).
+ */
+async function buildRerunOptions(run, options) {
+  const keepVoice = !options.style && !options.styleFile;
+  const originalStyleFile = keepVoice && run.styleFile && (await safeStat(run.styleFile)) ? run.styleFile : null;
+
+  return {
+    ...options,
+    url: run.source?.url || null,
+    inputPath: run.source?.path || null,
+    mode: run.mode || options.mode,
+    style: options.style || (keepVoice && run.style !== 'custom' ? run.style : null),
+    styleFile: options.styleFile || originalStyleFile,
+    styleText: options.styleText ?? (keepVoice ? run.styleText || null : null),
+    directive: options.directive || null,
+    parentId: run._id
+  };
+}
+
+// From the history list: ask for a style and an optional directive.
+async function pickRerunOptions(run) {
+  if (!ui.isInteractive()) return {};
+
+  const styles = getStyles();
+  const style = await ui.select(
+    'Rerun with style',
+    styles.map((s) => ({ value: s.key, label: s.key === run.style ? `${s.label} (same)` : s.label }))
+  );
+  if (!style) return null;
+
+  const directive = await ui.textInput('Directive (optional)', { placeholder: 'Enter to skip' });
+  if (directive === null) return null;
+
+  return { style, directive: directive.trim() || null };
+}
@@ -0,0 +1,174 @@
+/**
+ * `twx styles list|show|add|edit|remove`
+ *
+ * Manages user voices in ~/.config/twx/styles/ (prompt + metadata).
+ */
+
+import fs from 'node:fs/promises';
+import process from 'node:process';
+import * as ui from '../../ui.js';
+import * as errors from '../../errors.js';
+import { STYLES_DIR } from '../../config.js';
+import { DEFAULT_STYLE } from '../../styles/builtins.js';
+import { findStyle, getStyles, normalizeAliases, STYLE_KEY_PATTERN } from '../../styles/registry.js';
+import { removeUserStyle, saveUserStyle, userStylePaths } from '../../styles/store.js';
+import { runInteractiveCommand } from '../../system/exec.js';
+import { safeStat } from '../../system/fs.js';
+
+export async function handleStylesCommand(options) {
+  const { action, args, flags } = parseStylesArgv(options.stylesArgv || []);
+
+  try {
+    if (action === 'list' || action === 'ls') return showStyleList();
+    if (action === 'show') return await showStyle(args[0]);
+    if (action === 'add' || action === 'new') return await addStyle(args[0], args[1], flags);
+    if (action === 'edit') return await editStyle(args[0], flags);
+    if (action === 'remove' || action === 'rm') return await removeStyle(args[0]);
+
+    throw new errors.HumanError(`Unknown styles action: ${action}`, {
+      tip: 'Use: twx styles list|show|add|edit|remove'
+    });
+  } catch (error) {
+    errors.show(error, { verbose: options.verbose });
+    process.exitCode = 1;
+  }
+}
+
+function parseStylesArgv(argv) {
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--label') flags.label = argv[++i] ?? '';
+    else if (arg === '--aliases' || arg === '--alias') flags.aliases = argv[++i] ?? '';
+    else if (arg === '--model') flags.model = argv[++i] ?? '';
+    else if (!arg.startsWith('-')) positional.push(arg);
+  }
+
+  return { action: (positional[0] || 'list').toLowerCase(), args: positional.slice(1), flags };
+}
+
+function showStyleList() {
+  const styles = getStyles();
+  const s = ui.spacing.indent;
+
+  console.log('');
+  for (const item of styles) {
+    const tag = item.source === 'builtin' ? '' : ui.style.accent(item.source === 'override' ? ' (edited)' : ' (yours)');
+    const model = item.model ? ui.style.dim(` · ${item.model}`) : '';
+    console.log(`${s}${ui.style.primary(item.key.padEnd(14))}${ui.style.secondary(item.label)}${tag}${model}`);
+    if (item.aliases.length) console.log(`${s}${' '.repeat(14)}${ui.style.dim(item.aliases.join(', '))}`);
+  }
+  console.log('');
+  console.log(`${s}${ui.style.dim(`User styles: ${STYLES_DIR}`)}`);
+  console.log('');
+}
+
+async function showStyle(value) {
+  const item = requireStyle(value);
+  const prompt = await fs.readFile(item.promptPath, 'utf8');
+  const preview = prompt.split('\n').slice(0, 12).join('\n');
+
+  console.log('');
+  ui.showKeyValue('Style', `${item.key} (${item.label})`);
+  ui.showKeyValue('Source', item.source);
+  ui.showKeyValue('Aliases', item.aliases.join(', ') || '—');
+  ui.showKeyValue('Model', item.model || 'config default');
+  ui.showKeyValue('Prompt', item.promptPath);
+  console.log('');
+  for (const line of preview.trimEnd().split('\n')) {
+    console.log(`${ui.spacing.indent}${ui.style.dim(line)}`);
+  }
+  console.log('');
+}
+
+async function addStyle(rawKey, promptFile, flags) {
+  const key = (rawKey || '').toLowerCase();
+  if (!STYLE_KEY_PATTERN.test(key)) {
+    throw new errors.HumanError('Style name required (a-z, 0-9, - or _).', {
+      tip: 'Usage: twx styles add <name> [prompt.txt] [--label "..."] [--aliases a,b] [--model opus]'
+    });
+  }
+  if (findStyle(key)) {
+    throw new errors.HumanError(`Style "${key}" already exists.`, { tip: `Use "twx styles edit ${key}" instead.` });
+  }
+  assertAliasesFree(key, flags.aliases);
+
+  let promptSource;
+  if (promptFile) {
+    promptSource = await fs.readFile(promptFile, 'utf8').catch((error) => {
+      throw new errors.HumanError(`Could not read prompt file: ${promptFile}`, { technical: error.message });
+    });
+  } else {
+    // Start from the default voice so the XML contract is already there.
+    promptSource = await fs.readFile(findStyle(DEFAULT_STYLE).promptPath, 'utf8');
+  }
+
+  const { promptPath } = await saveUserStyle(key, {
+    promptSource,
+    label: flags.label ?? key,
+    aliases: flags.aliases ?? [],
+    model: flags.model
+  });
+
+  if (!promptFile && ui.isInteractive()) await openEditor(promptPath);
+  ui.log.success(`Style "${key}" saved. Use it with: twx <url> ${key}`);
+}
+
+async function editStyle(value, flags) {
+  const item = requireStyle(value);
+  const { promptPath } = userStylePaths(item.key);
+
+  if (!(await safeStat(promptPath))) {
+    // First edit of a bundled voice: copy it into the user dir as an override.
+    await saveUserStyle(item.key, { promptSource: await fs.readFile(item.promptPath, 'utf8') });
+  }
+
+  const hasMetaFlags = ['label', 'aliases', 'model'].some((k) => flags[k] !== undefined);
+  if (hasMetaFlags) {
+    assertAliasesFree(item.key, flags.aliases);
+    await saveUserStyle(item.key, { label: flags.label, aliases: flags.aliases, model: flags.model });
+    ui.log.success(`Style "${item.key}" updated.`);
+    return;
+  }
+
+  await openEditor(promptPath);
+  ui.log.success(`Style "${item.key}" saved.`);
+}
+
+async function removeStyle(value) {
+  const item = requireStyle(value);
+  if (item.source === 'builtin') {
+    throw new errors.HumanError(`"${item.key}" is a bundled style and cannot be removed.`);
+  }
+
+  await removeUserStyle(item.key);
+  ui.log.success(item.source === 'override' ? `Style "${item.key}" restored to the bundled version.` : `Style "${item.key}" removed.`);
+}
+
+function requireStyle(value) {
+  const item = findStyle(value);
+  if (!item) {
+    throw new errors.HumanError(value ? `Unknown style: ${value}` : 'Style name required.', {
+      tip: 'See available styles with: twx styles list'
+    });
+  }
+  return item;
+}
+
+function assertAliasesFree(key, aliases) {
+  if (aliases === undefined) return;
+  for (const alias of normalizeAliases(aliases)) {
+    const owner = findStyle(alias);
+    if (owner && owner.key !== key) {
+      throw new errors.HumanError(`Alias "${alias}" is already used by "${owner.key}".`);
+    }
+  }
+}
+
+async function openEditor(filePath) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const [command, ...args] = editor.split(/\s+/).filter(Boolean);
+  await runInteractiveCommand(command, [...args, filePath]);
+}
@@ -0,0 +1,29 @@
+import process from 'node:process';
+import * as ui from '../../ui.js';
+import * as errors from '../../errors.js';
+import { syncSpool } from '../../db.js';
+import { listSpoolIds } from '../../storage/spool.js';
+
+export async function handleSyncCommand(options) {
+  const pending = await listSpoolIds();
+  if (pending.length === 0) {
+    ui.clack.log.message('Nothing to sync.');
+    return;
+  }
+
+  const spin = ui.spinner(`Syncing ${pending.length} offline item${pending.length > 1 ? 's' : ''}...`);
+  try {
+    const { saved, merged, failed, errors: failures } = await syncSpool();
+    if (failed > 0) {
+      spin.error(`Synced ${saved + merged}, ${failed} still pending`);
+      for (const line of failures) ui.debug('Sync failure:', line);
+      process.exitCode = 1;
+      return;
+    }
+    spin.success(`Synced ${saved} run${saved === 1 ? '' : 's'}${merged ? ` (+${merged} updated)` : ''}`);
+  } catch (error) {
+    spin.error('Sync failed');
+    errors.show(error, { verbose: options.verbose });
+    process.exitCode = 1;
+  }
+}
@@ -5,9 +5,12 @@ import OpenAI from 'openai';
 import * as errors from '../../errors.js';
 import * as ui from '../../ui.js';
 import { loadConfig } from '../../config.js';
-import { YTDLP_HOSTS } from '../../media/constants.js';
+import { findSource, loadSourceRegistry } from '../../media/sources/registry.js';
 import { runExternalCommand } from '../../system/exec.js';
-import { transcribeMedia } from '../../media/transcribe.js';
+import { downloadSubtitles, readSubtitleTranscript } from '../../media/subtitles.js';
+import { transcribeSelection } from '../../media/clips.js';
+import { cachedTranscribeMedia, isCacheEnabled } from '../../cache/media.js';
+import { transcriptionBackend, transcriptionModelLabel } from '../../media/transcribe.js';
 
 export async function handleTranscriptCommand(options) {
   const url = options.url;
@@ -21,9 +24,9 @@ export async function handleTranscriptCommand(options) {
     return;
   }
 
-  let hostname;
+  let parsed;
   try {
-    hostname = new URL(url).hostname.toLowerCase();
+    parsed = new URL(url);
   } catch {
     errors.show(
       new errors.HumanError('URL inválida.', {
@@ -33,36 +36,57 @@ export async function handleTranscriptCommand(options) {
     return;
   }
 
-  if (!YTDLP_HOSTS.has(hostname)) {
+  await loadSourceRegistry({ debug: ui.debug });
+  if (!findSource(parsed)?.transcript) {
     errors.show(
-      new errors.HumanError('Solo URLs de YouTube/Instagram soportadas para transcript.', {
-        tip: `Host detectado: ${hostname}. Usa una URL de youtube.com o youtu.be`
+      new errors.HumanError('Solo URLs de video (YouTube, TikTok, Vimeo, Twitch...) soportadas para transcript.', {
+        tip: `Host detectado: ${parsed.hostname}. Usa la URL de un video de YouTube, Instagram, TikTok, Vimeo, Twitch o Dailymotion`
       })
     );
     return;
   }
 
   const config = await loadConfig();
-  if (!config.openaiApiKey) {
-    errors.show(
-      new errors.HumanError('OpenAI API key requerida para transcripción.', {
-        tip: 'Ejecuta "twx config" para agregar tu clave de OpenAI.'
-      })
-    );
-    return;
-  }
-
-  const openaiClient = new OpenAI({ apiKey: config.openaiApiKey });
   const downloadRoot = config.downloadRoot || path.join(os.tmpdir(), 'twx-transcript');
-
-  const transcribeModel = config.transcribeModel || 'whisper-1';
-  const spin = ui.spinner(`Capturando audio... (${transcribeModel})`);
+  const openaiClient = config.openaiApiKey ? new OpenAI({ apiKey: config.openaiApiKey }) : null;
+  const transcribeModel = transcriptionModelLabel(config, openaiClient) || config.transcribeModel || 'whisper-1';
+  const spin = ui.spinner(options.forceWhisper ? `Capturando audio... (${transcribeModel})` : 'Buscando subtítulos...');
 
   try {
-    ui.debug('Transcript: downloading audio from', url);
     await fs.mkdir(downloadRoot, { recursive: true });
     const runDir = await fs.mkdtemp(path.join(downloadRoot, 'yt-'));
 
+    // Captions first (`--whisper` skips them): no audio, no API key needed.
+    const captions = options.forceWhisper
+      ? null
+      : await downloadSubtitles(url, runDir, { languages: config.subtitleLanguages, debug: ui.debug });
+
+    const selection = {
+      clipRanges: options.clipRanges || [],
+      around: options.around,
+      window: options.aroundWindow,
+      HumanError: errors.HumanError
+    };
+
+    if (captions) {
+      const { text: transcript } = await transcribeSelection((clipRange) => readSubtitleTranscript(captions.path, { clipRange }), selection);
+      spin.success(`Subtítulos (${captions.lang}${captions.kind === 'auto' ? ', auto' : ''})`);
+      printTranscript(transcript);
+      if (!config.keepDownloads) await fs.rm(runDir, { recursive: true, force: true }).catch(() => {});
+      ui.debug('Transcript complete (subtitles), chars:', transcript.length);
+      return;
+    }
+
+    if (!transcriptionBackend(config, openaiClient)) {
+      await fs.rm(runDir, { recursive: true, force: true }).catch(() => {});
+      throw new errors.HumanError('No hay cómo transcribir el audio.', {
+        tip: 'El video no tiene subtítulos utilizables. Ejecuta "twx config" para agregar tu clave de OpenAI, o configura whisperCppModel para transcribir local.'
+      });
+    }
+
+    spin.update(`Capturando audio... (${transcribeModel})`);
+    ui.debug('Transcript: downloading audio from', url);
+
     await runExternalCommand(
       'yt-dlp',
       ['-q', '-P', runDir, '-o', '%(title)s.%(ext)s', '-f', 'bestaudio/best', '-x', '--audio-format', 'mp3', '--no-progress', url],
@@ -82,22 +106,22 @@ export async function handleTranscriptCommand(options) {
     const stats = await fs.stat(audioPath);
     ui.debug('Audio downloaded:', audioPath, 'size:', stats.size);
 
-    spin.update(`Transcribing with Whisper... (${transcribeModel})`);
-
-    const transcript = await transcribeMedia({
-      openaiClient,
-      filePath: audioPath,
-      clipRange: options.clipRange,
-      config,
-      debug: ui.debug,
-      HumanError: errors.HumanError
-    });
+    spin.update(`Transcribing... (${transcribeModel})`);
+
+    const transcribe = (clipRange) =>
+      cachedTranscribeMedia({
+        openaiClient,
+        filePath: audioPath,
+        clipRange,
+        config,
+        debug: ui.debug,
+        HumanError: errors.HumanError,
+        cache: isCacheEnabled(options, config)
+      });
+    const { text: transcript } = await transcribeSelection(transcribe, selection);
 
     spin.success('');
-
-    console.log('\n' + '─'.repeat(60));
-    console.log(transcript);
-    console.log('─'.repeat(60) + '\n');
+    printTranscript(transcript);
 
     if (!config.keepDownloads) {
       await fs.rm(runDir, { recursive: true, force: true }).catch(() => {});
@@ -109,3 +133,9 @@ export async function handleTranscriptCommand(options) {
     errors.show(error, { verbose: options.verbose });
   }
 }
+
+function printTranscript(transcript) {
+  console.log('\n' + '─'.repeat(60));
+  console.log(transcript);
+  console.log('─'.repeat(60) + '\n');
+}
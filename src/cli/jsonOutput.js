@@ -0,0 +1,80 @@
+/**
+ * Machine-readable output (`--json`).
+ *
+ * One JSON document on stdout: no ANSI, no spinners, no prompts.
+ * Keep the shape stable, scripts pipe this into jq.
+ */
+
+import process from 'node:process';
+
+export function buildJsonReport({
+  runId = null,
+  options,
+  style,
+  results,
+  agentData,
+  agentMeta,
+  agentProvider,
+  agentModel,
+  costEstimate,
+  warnings = []
+}) {
+  return {
+    ok: true,
+    runId: runId ? String(runId) : null,
+    parentId: options.parentId ? String(options.parentId) : null,
+    source: { url: options.url || null, path: options.inputPath || null },
+    style: style || null,
+    directive: options.directive || null,
+    results: (results || []).map((r) => ({
+      file: r.file,
+      type: r.type,
+      text: r.text ?? null,
+      error: r.error ?? null,
+      context: r.context ?? null,
+      description: r.description ?? null,
+      transcriptSource: r.transcriptSource ?? null,
+      segments: r.segments ?? null,
+      frames: r.frames ?? null,
+      parent: r.parent ?? null,
+      sourceUrl: r.sourceUrl ?? null
+    })),
+    agentData: agentData
+      ? {
+          title: agentData.title || null,
+          reflection: agentData.reflection || null,
+          plan: agentData.plan || null,
+          finalResponse: agentData.finalResponse || null
+        }
+      : null,
+    meta: {
+      provider: agentMeta?.provider || agentProvider || null,
+      model: agentMeta?.model || agentModel || null,
+      responseId: agentMeta?.responseId || null
+    },
+    usage: agentMeta?.usage || null,
+    cost: costEstimate
+      ? {
+          totalUSD: costEstimate.totalUSD,
+          breakdownUSD: costEstimate.breakdownUSD,
+          tokens: costEstimate.tokens
+        }
+      : null,
+    warnings
+  };
+}
+
+export function writeJson(doc) {
+  process.stdout.write(`${JSON.stringify(doc, null, 2)}\n`);
+}
+
+export function writeJsonError(error) {
+  writeJson({
+    ok: false,
+    error: {
+      message: error?.message || String(error),
+      tip: error?.tip || null,
+      technical: error?.technical || null
+    }
+  });
+}
@@ -1,15 +1,22 @@
 import path from 'node:path';
 import * as ui from '../ui.js';
 import { saveRun, buildAutoTitle } from '../db.js';
+import { spoolRun } from '../storage/spool.js';
 import { sanitizeTitle } from './text.js';
+import { contentHash } from '../text/contentHash.js';
 
 export async function persistRun({ options, config, results, agentData, agentMeta = null, costEstimate = null, rawMode, agentProvider, styleUsed }) {
+  let doc = null;
+  const styleText = (options.styleText || '').toString().trim();
   try {
-    const doc = {
+    doc = {
       source: { url: options.url || null, path: options.inputPath || null },
+      parentId: options.parentId ? String(options.parentId) : null,
+      directive: options.directive || null,
       mode: options.mode || config.mode,
       style: styleUsed || 'bukowski',
       ocrModel: config.ocrModel,
+      visionModel: results?.some((r) => r.description) ? config.visionModel : null,
       agentProvider: agentProvider || config.agentProvider,
       agentModel: config.agentModel,
       ai: {
@@ -23,6 +30,11 @@ export async function persistRun({ options, config, results, agentData, agentMet
       mediaResolution: config.mediaResolution,
       thinkingLevel: config.thinkingLevel,
       promptName: agentData?.promptPath ? path.basename(agentData.promptPath) : null,
+      promptHash: agentData?.promptHash || null,
+      styleFile: options.styleFile ? path.resolve(options.styleFile) : null,
+      styleText: styleText || null,
+      // Same trimmed text resolveAgentPrompt hashes, so one voice gets one hash.
+      styleTextHash: contentHash(styleText),
       title: sanitizeTitle(agentData?.title) || buildAutoTitle({ results, fallback: options.url || options.inputPath || '' }),
       reflection: agentData?.reflection || null,
       actionPlan: agentData?.plan || null,
@@ -37,7 +49,16 @@ export async function persistRun({ options, config, results, agentData, agentMet
     return saved;
   } catch (error) {
     ui.debug('Persist error:', error.message);
-    return null;
+    if (!doc) return null;
+    // Keep the paid-for analysis; `twx sync` (or the next save) replays it.
+    try {
+      const spooled = await spoolRun(doc);
+      ui.debug('Run spooled offline:', spooled._id);
+      return spooled;
+    } catch (spoolError) {
+      ui.debug('Spool error:', spoolError.message);
+      return null;
+    }
   }
 }
 
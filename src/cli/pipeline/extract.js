@@ -0,0 +1,243 @@
+/**
+ * Extraction stage: collect → context → OCR/transcribe/read → results[].
+ *
+ * OCR and transcription run concurrently (`ocrConcurrency`, `transcribeConcurrency`);
+ * images that reach OCR together share one request (`ocrBatchSize`);
+ * results keep the order of the collected items. No rendering here: callers
+ * get `onProgress({ phase: 'collected' | 'start' | 'done', completed, total, ... })`.
+ */
+
+import path from 'node:path';
+import process from 'node:process';
+import * as errors from '../../errors.js';
+import { collectMediaItems } from '../../media/collect.js';
+import { gatherContextForItems } from '../../media/context.js';
+import { cachedDescribeImage, cachedExtractTextFromImage, cachedTranscribeMedia, isCacheEnabled } from '../../cache/media.js';
+import { readPlainText } from '../../media/readPlainText.js';
+import { readSubtitleTranscript } from '../../media/subtitles.js';
+import { transcribeSelection } from '../../media/clips.js';
+import { missingTranscriberError, transcriptionBackend, transcriptionModelLabel } from '../../media/transcribe.js';
+import { extractOnScreenText } from '../../media/frames.js';
+import { extractDocumentText } from '../../media/documents.js';
+import { createOcrBatcher } from '../../media/ocrBatch.js';
+import { ocrBatchSizeFor, ocrProviderNames } from '../../media/ocr.js';
+import { VIDEO_EXTENSIONS } from '../../media/constants.js';
+import { formatTimedLines } from '../../text/timestamps.js';
+import { createLimiter, toConcurrency, toCount } from '../../system/concurrency.js';
+
+export async function extractResults({ options, config, openaiClient, debug = null, onProgress = null }) {
+  const { items: mediaItems, cleanup } = await collectMediaItems(options, config, {
+    debug,
+    HumanError: errors.HumanError
+  });
+
+  try {
+    if (!mediaItems.length) {
+      throw new errors.HumanError('No content found to process.', {
+        tip: 'Check that the URL is valid or the folder contains images, audio, video or documents.'
+      });
+    }
+
+    if (debug) debug('Media items:', mediaItems.map((i) => i.path));
+
+    const contextMap = await gatherContextForItems(mediaItems);
+    const total = mediaItems.length;
+    let completed = 0;
+    if (onProgress) onProgress({ phase: 'collected', completed, total });
+
+    // One pool per API so a long transcription doesn't starve OCR (and vice versa).
+    const ocrBatchSize = ocrBatchSizeFor(config);
+    const ocrBatcher =
+      ocrBatchSize > 1
+        ? createOcrBatcher({ config, debug, HumanError: errors.HumanError, batchSize: ocrBatchSize, concurrency: config.ocrConcurrency })
+        : null;
+    const ocrModel = ocrProviderNames(config)[0] === 'tesseract' ? 'tesseract' : config.ocrModel;
+    const transcribeModel = transcriptionModelLabel(config, openaiClient) || config.transcribeModel;
+    const limiters = {
+      // With batching, ocrConcurrency counts requests, each carrying up to ocrBatchSize images.
+      image: createLimiter(toConcurrency(config.ocrConcurrency, 4) * ocrBatchSize),
+      av: createLimiter(toConcurrency(config.transcribeConcurrency, 2))
+    };
+    // Documents share the OCR limit: PDFs go to the same OCR API.
+    const limiterFor = (type) =>
+      type === 'image' || type === 'document' ? limiters.image : type === 'video' || type === 'audio' ? limiters.av : (fn) => fn();
+
+    const results = await Promise.all(
+      mediaItems.map((item, index) =>
+        limiterFor(item.type)(async () => {
+          const absolutePath = path.resolve(item.path);
+          const relativePath = path.relative(process.cwd(), absolutePath) || absolutePath;
+          const context = contextMap.get(absolutePath) || null;
+
+          const isAv = item.type === 'video' || item.type === 'audio';
+          const transcriptSource = isAv ? item.transcriptSource || 'whisper' : null;
+          const isPdf = item.type === 'document' && path.extname(absolutePath).toLowerCase() === '.pdf';
+          const opModel = item.type === 'image' || isPdf ? ocrModel : transcriptSource === 'whisper' ? transcribeModel : null;
+          if (onProgress) onProgress({ phase: 'start', index, completed, total, item, model: opModel });
+          if (debug) debug('Processing:', relativePath, 'type:', item.type);
+
+          let result;
+          try {
+            const { text, description, segments, frames } = await extractItemText({
+              item,
+              absolutePath,
+              options,
+              config,
+              openaiClient,
+              ocrBatcher,
+              debug
+            });
+            result = { file: relativePath, type: item.type, text, context };
+            if (description) result.description = description;
+            if (transcriptSource) result.transcriptSource = transcriptSource;
+            if (segments?.length) result.segments = segments;
+            if (frames?.length) result.frames = frames;
+            if (debug) debug('Extracted:', { file: relativePath, chars: text?.length || 0 });
+          } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            result = { file: relativePath, type: item.type, error: message, context };
+            if (debug) debug('Error processing:', relativePath, message);
+          }
+          // --follow-links: where it came from.
+          if (item.parent) Object.assign(result, { parent: item.parent, sourceUrl: item.sourceUrl });
+
+          completed += 1;
+          if (onProgress) onProgress({ phase: 'done', index, completed, total, item, model: opModel, error: result.error || null });
+          return result;
+        })
+      )
+    );
+
+    return capLinkedText(results, toCount(config.followLinksMaxChars, 40000));
+  } finally {
+    if (cleanup) {
+      try {
+        await cleanup();
+      } catch (e) {
+        if (debug) debug('Cleanup error:', e);
+      }
+    }
+  }
+}
+
+// Linked content shares one character budget, in order; the original post never counts against it.
+function capLinkedText(results, maxChars) {
+  let remaining = maxChars;
+  return results.map((result) => {
+    if (!result.parent || !result.text) return result;
+    if (result.text.length <= remaining) {
+      remaining -= result.text.length;
+      return result;
+    }
+    const { segments, frames, ...rest } = result;
+    const text = remaining > 0 ? `${result.text.slice(0, remaining).trimEnd()}\n[…recortado: límite de --follow-links]` : null;
+    remaining = 0;
+    return text ? { ...rest, text } : { ...rest, text: undefined, error: 'Omitido: límite de texto de --follow-links' };
+  });
+}
+
+// → { text, description?, segments?, frames? } (description: vision model;
+// segments: timed transcript; frames: --frames on-screen text)
+async function extractItemText({ item, absolutePath, options, config, openaiClient, ocrBatcher = null, debug }) {
+  if (item.type === 'image') {
+    return readImage({ absolutePath, options, config, ocrBatcher, debug });
+  }
+
+  if (item.type === 'video' || item.type === 'audio') {
+    const transcript = transcribeItem({ item, absolutePath, options, config, openaiClient, debug });
+    // --frames: subtitle-only items have no picture to read.
+    if (!options.frames || item.type !== 'video' || !VIDEO_EXTENSIONS.has(path.extname(absolutePath).toLowerCase())) {
+      return transcript;
+    }
+
+    const [spoken, frames] = await Promise.all([
+      transcript,
+      extractOnScreenText({
+        filePath: absolutePath,
+        clipRanges: options.clipRanges || [],
+        config,
+        debug,
+        HumanError: errors.HumanError,
+        cache: isCacheEnabled(options, config)
+      })
+    ]);
+    if (!frames.length) return spoken;
+    return { ...spoken, text: `${spoken.text}\n\nTexto en pantalla:\n${formatTimedLines(frames)}`, frames };
+  }
+
+  if (item.type === 'text') {
+    return { text: await readPlainText(absolutePath, item.inlineText) };
+  }
+
+  if (item.type === 'document') {
+    return extractDocumentText({
+      filePath: absolutePath,
+      config,
+      debug,
+      HumanError: errors.HumanError,
+      cache: isCacheEnabled(options, config)
+    });
+  }
+
+  return { text: '' };
+}
+
+/**
+ * OCR, plus a vision description when asked (--vision) or when OCR finds
+ * nothing and a Gemini key is there (unless --ocr-only). Without OCR text the
+ * description becomes the item's text.
+ */
+async function readImage({ absolutePath, options, config, ocrBatcher, debug }) {
+  const shared = { filePath: absolutePath, config, debug, HumanError: errors.HumanError, cache: isCacheEnabled(options, config) };
+
+  let ocrText = '';
+  let ocrError = null;
+  try {
+    ocrText = (await cachedExtractTextFromImage({ ...shared, batcher: ocrBatcher })) || '';
+  } catch (error) {
+    ocrError = error;
+  }
+
+  const wantsVision = options.vision || (!options.ocrOnly && !ocrText.trim() && Boolean(config.geminiApiKey));
+  if (!wantsVision) {
+    if (ocrError) throw ocrError;
+    return { text: ocrText };
+  }
+
+  try {
+    const description = await cachedDescribeImage({ ...shared, ocrText });
+    return { text: ocrText.trim() ? ocrText : description, description };
+  } catch (error) {
+    if (debug) debug('Vision failed:', absolutePath, error.message);
+    if (ocrText.trim()) return { text: ocrText };
+    // Automatic fallback: the OCR error is the one the user asked for.
+    throw options.vision || !ocrError ? error : ocrError;
+  }
+}
+
+async function transcribeItem({ item, absolutePath, options, config, openaiClient, debug }) {
+  const selection = {
+    clipRanges: options.clipRanges || [],
+    around: options.around,
+    window: options.aroundWindow,
+    HumanError: errors.HumanError
+  };
+
+  if (item.transcriptSource?.startsWith('subtitles')) {
+    const subtitlePath = item.subtitlePath || absolutePath;
+    return transcribeSelection((clipRange) => readSubtitleTranscript(subtitlePath, { clipRange }), selection);
+  }
+
+  if (!transcriptionBackend(config, openaiClient)) throw missingTranscriberError(config, errors.HumanError);
+  const transcribe = (clipRange) =>
+    cachedTranscribeMedia({
+      openaiClient,
+      filePath: absolutePath,
+      clipRange,
+      config,
+      debug,
+      HumanError: errors.HumanError,
+      cache: isCacheEnabled(options, config)
+    });
+  return transcribeSelection(transcribe, selection);
+}
@@ -0,0 +1,130 @@
+/**
+ * Insight stage: results[] → agent → show → persist → JSON or chat.
+ *
+ * Shared by `twx <url>` (fresh extraction) and `twx rerun <id>` (stored results).
+ */
+
+import process from 'node:process';
+import * as ui from '../../ui.js';
+import * as errors from '../../errors.js';
+import { runInsightAgent } from '../agent/runInsightAgent.js';
+import { providerDisplayName } from '../agent/resolveAgentSetup.js';
+import { persistRun } from '../persist.js';
+import { estimateOpenAICostUSD, formatUSD } from '../../cost.js';
+import { stripXmlTags } from '../../text/stripXmlTags.js';
+import { buildJsonReport, writeJson } from '../jsonOutput.js';
+
+export async function runInsightStage({ options, setup, prompt, results, warnings = [] }) {
+  const json = Boolean(options.json);
+  const { agentProvider, effectiveConfig, agentModel, geminiClient, anthropicClient, openaiClient, agentAvailable } = setup;
+  const normalizedStyle = prompt.styleKey;
+
+  let agentData = null;
+  let conversationHistory = [];
+  let agentMeta = null;
+  let costEstimate = null;
+
+  if (results.some((r) => r.text) && agentAvailable) {
+    const agentResult = await runInsightAgent({
+      provider: agentProvider,
+      results,
+      style: normalizedStyle,
+      prompt,
+      config: effectiveConfig,
+      directive: options.directive,
+      sourceUrl: options.url || null,
+      quiet: json
+    });
+
+    if (agentResult) {
+      agentData = agentResult.agentData;
+      conversationHistory = agentResult.history || [];
+      agentMeta = agentResult.meta || null;
+      costEstimate =
+        agentResult.meta?.provider === 'openai'
+          ? estimateOpenAICostUSD({ model: agentResult.meta.model, usage: agentResult.meta.usage })
+          : null;
+
+      if (agentData?.finalResponse && !agentResult.streamed && !json) {
+        ui.showResult(stripXmlTags(agentData.finalResponse), {
+          title: agentData.title || null,
+          model: agentResult.meta?.model || null,
+          linkUrl: options.url || null
+        });
+      }
+
+      if (process.stdout.isTTY && costEstimate && !json) {
+        const t = costEstimate.tokens;
+        const costText = `${formatUSD(costEstimate.totalUSD)} · in ${t.input}${t.cached_input ? ` (cached ${t.cached_input})` : ''} · out ${t.output}${
+          t.reasoning ? ` (reason ${t.reasoning})` : ''
+        }`;
+        ui.showMetaLine(`cost ${costText}`);
+      }
+    }
+  } else if (results.some((r) => r.text) && !agentAvailable) {
+    const providerName = providerDisplayName(agentProvider);
+    if (json) {
+      warnings.push(`No ${providerName} key, cannot run AI analysis.`);
+    } else {
+      errors.warn(`No ${providerName} key, cannot run AI analysis.`, {
+        verbose: options.verbose,
+        technical: `Add the missing API key or switch provider with "twx setmodel <gemini|opus|gpt-5.2>"`
+      });
+
+      const combined = results
+        .filter((r) => r.text)
+        .map((r) => r.text)
+        .join('\n\n');
+      if (combined) ui.showRawResult(combined);
+    }
+  }
+
+  const savedRun = await persistRun({
+    options,
+    config: effectiveConfig,
+    results,
+    agentData,
+    agentMeta,
+    costEstimate,
+    rawMode: false,
+    agentProvider,
+    styleUsed: normalizedStyle
+  });
+
+  if (json) {
+    writeJson(
+      buildJsonReport({
+        runId: savedRun?._id || null,
+        options,
+        style: normalizedStyle,
+        results,
+        agentData,
+        agentMeta,
+        agentProvider,
+        agentModel,
+        costEstimate,
+        warnings
+      })
+    );
+    return savedRun;
+  }
+
+  const canChat =
+    ui.isInteractive() &&
+    agentData?.finalResponse &&
+    ((agentProvider === 'gemini' && geminiClient) || (agentProvider === 'openai' && openaiClient) || (agentProvider === 'claude' && anthropicClient));
+
+  if (canChat) {
+    const { startConversationLoop } = await import('../startConversationLoop.js');
+    await startConversationLoop({
+      provider: agentProvider,
+      results,
+      options,
+      config: effectiveConfig,
+      conversationHistory,
+      runId: savedRun?._id || null
+    });
+  }
+
+  return savedRun;
+}
@@ -0,0 +1,43 @@
+/**
+ * Terminal progress for the extraction stage.
+ *
+ * One item: keep the spinner. Several: swap it for a progress bar that
+ * advances as items finish (they finish out of order when run in parallel).
+ */
+
+import path from 'node:path';
+import process from 'node:process';
+import * as ui from '../../ui.js';
+
+export function createExtractionProgress(spin, { silent = false } = {}) {
+  let bar = null;
+
+  const onProgress = (event) => {
+    if (silent) return;
+
+    if (event.phase === 'collected') {
+      if (event.total > 1 && process.stdout.isTTY) {
+        spin.stop();
+        bar = ui.createProgressBar({ total: event.total, showValue: true, style: 'minimal' }).start();
+      }
+      return;
+    }
+
+    if (bar) {
+      if (event.phase === 'done') bar.update(event.completed, path.basename(event.item.path));
+      return;
+    }
+
+    if (event.phase === 'start') {
+      const counter = `${event.index + 1}/${event.total}`;
+      spin.update(event.model ? `Processing ${counter}... (${event.model})` : `Processing ${counter}...`);
+    }
+  };
+
+  const finish = () => {
+    if (bar) bar.clear();
+    bar = null;
+  };
+
+  return { onProgress, finish };
+}
@@ -6,18 +6,27 @@ import * as ui from '../ui.js';
 import * as errors from '../errors.js';
 import { isConfigured, runSetup, resetConfig } from '../config.js';
 import { parseArgs } from './args.js';
+import { loadStyleRegistry } from '../styles/registry.js';
 import { showUsage } from './usage.js';
 import { handleListCommand, handleShowCommand } from './commands/history.js';
 import { handleModelCommand } from './commands/model.js';
 import { handleTranscriptCommand } from './commands/transcript.js';
 import { handleAnalyzeCommand } from './commands/analyze.js';
 import { handleDualCommand } from './commands/dual.js';
+import { handleBatchCommand } from './commands/batch.js';
+import { handleStylesCommand } from './commands/styles.js';
+import { handleSyncCommand } from './commands/sync.js';
+import { handleCacheCommand } from './commands/cache.js';
+import { handleRerunCommand } from './commands/rerun.js';
+import { writeJsonError } from './jsonOutput.js';
 
 dotenv.config({ path: path.join(PROJECT_ROOT, '.env'), override: false });
 
 export async function runCli(argv) {
   silenceGoogleDuplicateKeyWarning();
 
+  // Styles are referenced by name/alias while parsing args.
+  await loadStyleRegistry();
   const options = parseArgs(argv);
 
   if (options.verbose) ui.setVerbose(true);
@@ -32,6 +41,21 @@ export async function runCli(argv) {
     return;
   }
 
+  if (options.stylesCommand) {
+    await handleStylesCommand(options);
+    return;
+  }
+
+  if (options.cacheCommand) {
+    await handleCacheCommand(options);
+    return;
+  }
+
+  if (options.syncCommand) {
+    await handleSyncCommand(options);
+    return;
+  }
+
   if (options.list) {
     await handleListCommand(options);
     return;
@@ -42,21 +66,36 @@ export async function runCli(argv) {
     return;
   }
 
+  if (options.rerun) {
+    await handleRerunCommand(options);
+    return;
+  }
+
   if (options.showId) {
     await handleShowCommand(options.showId, options);
     return;
   }
 
-  if (!options.inputPath && !options.url && ui.isInteractive()) {
+  if (!options.inputPath && !options.url && !options.batch && ui.isInteractive()) {
     await handleListCommand(options);
     return;
   }
 
   if (!(await isConfigured())) {
+    if (options.json) {
+      writeJsonError(new errors.HumanError('twx is not configured.', { tip: 'Run "twx config" first.' }));
+      process.exitCode = 1;
+      return;
+    }
     await runSetup();
     return;
   }
 
+  if (options.batch) {
+    await handleBatchCommand(options);
+    return;
+  }
+
   if (options.transcriptOnly) {
     await handleTranscriptCommand(options);
     return;
@@ -1,18 +1,19 @@
-import fs from 'node:fs/promises';
 import * as errors from '../errors.js';
 import { normalizeProviderName } from './modelSelection.js';
-import { normalizeStyle, resolveAgentPromptPath } from './style.js';
 import { buildAgentPayload } from '../agent/payload.js';
 import { extractResponseText } from '../agent/extractResponseText.js';
 import { maskConfig } from '../system/maskConfig.js';
 import { stripXmlTags } from '../text/stripXmlTags.js';
 import { runCliChatSession } from './chatSession.js';
 import { resolveAgentModel } from './agent/resolveAgentModel.js';
+import { resolveAgentPrompt } from './agent/resolveAgentPrompt.js';
 
 export async function startConversationLoop({ provider, results, options, config, conversationHistory, runId = null }) {
-  const normalizedStyle = normalizeStyle(options.style) || 'bukowski';
-  const promptPath = resolveAgentPromptPath(normalizedStyle);
-  const promptSource = await fs.readFile(promptPath, 'utf8');
+  const { styleKey, promptPath, promptSource, styleText } = await resolveAgentPrompt({
+    style: options.style,
+    styleFile: options.styleFile,
+    styleText: options.styleText
+  });
   const providerKey = normalizeProviderName(provider || config.agentProvider || 'openai');
 
   const { model: chatModel } = resolveAgentModel({ provider: providerKey, config });
@@ -37,7 +38,7 @@ export async function startConversationLoop({ provider, results, options, config
     promptSource,
     config,
     results: results || [],
-    options: { ...options, styleKey: normalizedStyle },
+    options: { ...options, styleKey, styleText },
     conversationHistory: conversationHistory || [],
     runId,
     buildPayload: buildAgentPayload,
@@ -60,6 +60,9 @@ export function createBoxedStreamer(stdout, opts = {}) {
   let lineWidth = 0;        // Visual width of current line
   let isOpen = false;       // Is a line currently open?
 
+  // Optional per-word decoration (e.g. hyperlinks); width is measured on the raw word
+  const transformWord = opts.transformWord || null;
+
   // Title/model
   const rawTitle = opts.rawTitle || 'RESPONSE';
   const model = opts.model || '';
@@ -142,7 +145,7 @@ export function createBoxedStreamer(stdout, opts = {}) {
     }
 
     // Add word to line buffer
-    lineBuffer += wordBuffer;
+    lineBuffer += transformWord ? transformWord(wordBuffer) : wordBuffer;
     lineWidth += wordWidth;
     wordBuffer = '';
   };
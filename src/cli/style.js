@@ -1,34 +1,50 @@
-import { PROMPTS } from '../paths.js';
-
-const STYLE_PRESETS = { musk: '', bukowski: '', nunc: '' };
-const STYLE_ALIASES = {
-  m: 'musk',
-  mx: 'musk',
-  max: 'musk',
-  elon: 'musk',
-  musk: 'musk',
-  buk: 'bukowski',
-  bukowski: 'bukowski',
-  bk: 'bukowski',
-  nunc: 'nunc',
-  nunca: 'nunc',
-  easy: 'nunc',
-  claro: 'nunc',
-  simple: 'nunc',
-  sinvueltas: 'nunc',
-  'sin-vueltas': 'nunc',
-  'sin_vueltas': 'nunc'
-};
+import { DEFAULT_STYLE } from '../styles/builtins.js';
+import { findStyle, getStyles } from '../styles/registry.js';
+
+export { DEFAULT_STYLE };
 
 export function normalizeStyle(value) {
-  if (!value) return null;
-  const key = value.toLowerCase();
-  return STYLE_ALIASES[key] || (STYLE_PRESETS[key] ? key : null);
+  return findStyle(value)?.key || null;
 }
 
 export function resolveAgentPromptPath(style) {
-  const key = normalizeStyle(style) || 'bukowski';
-  if (key === 'bukowski') return PROMPTS.bukowski;
-  if (key === 'nunc') return PROMPTS.nunc;
-  return PROMPTS.musk;
+  return (findStyle(style) || findStyle(DEFAULT_STYLE)).promptPath;
+}
+
+export function getStyleLabel(styleKey) {
+  return findStyle(styleKey)?.label || styleKey;
+}
+
+/**
+ * Default model declared by the style's metadata (null = use config).
+ */
+export function getStyleModel(styleKey) {
+  return findStyle(styleKey)?.model || null;
+}
+
+export function resolveDualStyles(raw) {
+  const keys = getStyles().map((s) => s.key);
+  const defaults = [DEFAULT_STYLE, keys.includes('musk') ? 'musk' : keys.find((k) => k !== DEFAULT_STYLE)].filter(Boolean);
+  if (!raw) return defaults;
+
+  const parts = raw
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean)
+    .map((v) => normalizeStyle(v) || null)
+    .filter(Boolean);
+
+  if (parts.length === 0) return defaults;
+
+  const unique = [];
+  for (const key of parts) {
+    if (!unique.includes(key)) unique.push(key);
+  }
+
+  if (unique.length === 1) {
+    const fallback = defaults.find((k) => k !== unique[0]);
+    if (fallback) unique.push(fallback);
+  }
+
+  return unique.slice(0, 2);
 }
@@ -13,6 +13,7 @@
  */
 
 import { style, spacing, brandHeader } from '../ui/theme.js';
+import { getStyles } from '../styles/registry.js';
 
 /**
  * Show minimal, elegant help screen
@@ -74,9 +75,15 @@ export function showVerboseUsage() {
   const commands = [
     ['twx <url> "directive"', 'Add instructions for the AI'],
     ['twx dual <url>', 'Dual mode (two styles)'],
-    ['twx <url> --thread', 'Extract full Twitter thread'],
+    ['twx batch <file|->', 'Analyze a list of URLs/paths'],
+    ['twx <url> --thread', 'Full thread (X, Bluesky, Mastodon, Threads)'],
     ['twx <url> transcript', 'Get raw transcript only'],
+    ['twx <url> --json', 'Print one JSON document (for scripts)'],
+    ['twx styles', 'List, add or edit voices'],
     ['twx list', 'Show recent history'],
+    ['twx rerun <id> [style]', 'New take on a saved run'],
+    ['twx sync', 'Save runs kept offline'],
+    ['twx cache stats|clear', 'Downloads/OCR/transcripts cache'],
     ['twx setmodel <model>', 'Switch AI provider'],
   ];
 
@@ -84,6 +91,15 @@ export function showVerboseUsage() {
     console.log(`${s}${s}${accent(cmd.padEnd(24))}${dim(desc)}`);
   }
 
+  console.log('');
+  console.log(`${s}${style.primary('Styles')}`);
+  console.log('');
+  for (const item of getStyles()) {
+    const aliases = item.aliases.length ? item.aliases.slice(0, 4).join(', ') : '';
+    console.log(`${s}${s}${accent(item.key.padEnd(24))}${dim(aliases)}`);
+  }
+  console.log(`${s}${s}${dim('twx styles add <name> [prompt.txt] [--label ..] [--aliases a,b] [--model m]')}`);
+
   console.log('');
   console.log(`${s}${style.primary('Models')}`);
   console.log('');
@@ -97,9 +113,19 @@ export function showVerboseUsage() {
   console.log('');
   console.log(`${s}${style.primary('Options')}`);
   console.log('');
-  console.log(`${s}${s}${accent('--clip 0:30-2:00')}      ${dim('Video segment')}`);
+  console.log(`${s}${s}${accent('--clip 0:30-2:00')}      ${dim('Video segment (a-b,c-d for several)')}`);
+  console.log(`${s}${s}${accent('--around "phrase"')}     ${dim('Only where it is said (--window 60)')}`);
   console.log(`${s}${s}${accent('--styles a,b')}          ${dim('Dual styles (dual mode)')}`);
+  console.log(`${s}${s}${accent('--style-file <path>')}   ${dim('Your own system prompt')}`);
+  console.log(`${s}${s}${accent('--style-text "..."')}    ${dim('Extra voice instructions')}`);
   console.log(`${s}${s}${accent('--model <id>')}          ${dim('One-off model')}`);
+  console.log(`${s}${s}${accent('--concurrency <n>')}     ${dim('Parallel entries (batch)')}`);
+  console.log(`${s}${s}${accent('--no-cache')}            ${dim('Re-download and re-extract')}`);
+  console.log(`${s}${s}${accent('--vision')}              ${dim('Describe images (memes, charts)')}`);
+  console.log(`${s}${s}${accent('--ocr-only')}            ${dim('Never describe images, OCR only')}`);
+  console.log(`${s}${s}${accent('--frames')}              ${dim('Also read on-screen text (slides)')}`);
+  console.log(`${s}${s}${accent('--whisper')}             ${dim('Ignore captions, transcribe audio')}`);
+  console.log(`${s}${s}${accent('--follow-links [n]')}    ${dim('Also read linked pages (n levels)')}`);
   console.log(`${s}${s}${accent('--verbose')}             ${dim('Debug info')}`);
 
   console.log('');
@@ -5,5 +5,5 @@
 
 export { loadConfig, saveConfigValue, saveConfig, isConfigured } from './config/core.js';
 export { getMissingKeys, runSetup, resetConfig, showConfig } from './config/setup.js';
-export { CONFIG_FILE, CONFIG_DIR } from './config/paths.js';
+export { CONFIG_FILE, CONFIG_DIR, STYLES_DIR, DATA_DIR, HISTORY_FILE, CACHE_DIR } from './config/paths.js';
 
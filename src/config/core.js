@@ -1,5 +1,7 @@
+import os from 'node:os';
+import path from 'node:path';
 import { DEFAULTS } from './defaults.js';
-import { getEnvValue } from './env.js';
+import { getEnvNumber, getEnvValue } from './env.js';
 import { readConfigFile, writeConfigFile, getCachedConfig, setCachedConfig } from './fileStore.js';
 
 export async function loadConfig() {
@@ -7,7 +9,7 @@ export async function loadConfig() {
   if (cached) return cached;
 
   const fileConfig = (await readConfigFile()) || {};
-  const maxTokensEnv = getEnvValue('agentMaxOutputTokens');
+  const maxTokensEnv = getEnvNumber('agentMaxOutputTokens');
   const parsedMaxTokens = Number(maxTokensEnv ?? fileConfig.agentMaxOutputTokens ?? DEFAULTS.agentMaxOutputTokens);
   const agentMaxOutputTokens = Number.isFinite(parsedMaxTokens) && parsedMaxTokens > 0 ? parsedMaxTokens : DEFAULTS.agentMaxOutputTokens;
 
@@ -20,6 +22,7 @@ export async function loadConfig() {
     redditClientSecret: getEnvValue('redditClientSecret') || fileConfig.redditClientSecret || null,
     redditUserAgent: getEnvValue('redditUserAgent') || fileConfig.redditUserAgent || null,
     mongodbUrl: getEnvValue('mongodbUrl') || fileConfig.mongodbUrl || 'mongodb://localhost:27017/twx_history',
+    historyBackend: (getEnvValue('historyBackend') || fileConfig.historyBackend || DEFAULTS.historyBackend).toString().toLowerCase(),
     mistralOrgId: getEnvValue('mistralOrgId') || fileConfig.mistralOrgId || null,
 
     agentProvider: (getEnvValue('agentProvider') || fileConfig.agentProvider || DEFAULTS.agentProvider || 'gemini').toString().toLowerCase(),
@@ -36,17 +39,41 @@ export async function loadConfig() {
       .toLowerCase(),
     agentMaxOutputTokens,
     transcribeModel: getEnvValue('transcribeModel') || fileConfig.transcribeModel || 'whisper-1',
+    transcribeProvider: (getEnvValue('transcribeProvider') || fileConfig.transcribeProvider || DEFAULTS.transcribeProvider).toString().toLowerCase(),
+    transcribeLanguage: getEnvValue('transcribeLanguage') || fileConfig.transcribeLanguage || null,
+    whisperCppBinary: getEnvValue('whisperCppBinary') || fileConfig.whisperCppBinary || DEFAULTS.whisperCppBinary,
+    whisperCppModel: resolveUserPath(getEnvValue('whisperCppModel') || fileConfig.whisperCppModel || null),
     ocrModel: getEnvValue('ocrModel') || fileConfig.ocrModel || 'mistral-ocr-latest',
+    ocrProvider: getEnvValue('ocrProvider') || fileConfig.ocrProvider || DEFAULTS.ocrProvider,
+    tesseractLanguages: getEnvValue('tesseractLanguages') || fileConfig.tesseractLanguages || DEFAULTS.tesseractLanguages,
 
     whisperSegmentSeconds: fileConfig.whisperSegmentSeconds || DEFAULTS.whisperSegmentSeconds,
     whisperBitrate: fileConfig.whisperBitrate || DEFAULTS.whisperBitrate,
-    whisperSampleRate: fileConfig.whisperSampleRate || DEFAULTS.whisperSampleRate
+    whisperSampleRate: fileConfig.whisperSampleRate || DEFAULTS.whisperSampleRate,
+    whisperConcurrency: getEnvNumber('whisperConcurrency') || fileConfig.whisperConcurrency || DEFAULTS.whisperConcurrency,
+    whisperRetries: fileConfig.whisperRetries ?? DEFAULTS.whisperRetries,
+    subtitleLanguages: getEnvValue('subtitleLanguages') || fileConfig.subtitleLanguages || DEFAULTS.subtitleLanguages,
+    batchConcurrency: getEnvNumber('batchConcurrency') || fileConfig.batchConcurrency || DEFAULTS.batchConcurrency,
+    cache: getEnvValue('cache') ?? fileConfig.cache ?? DEFAULTS.cache,
+    ocrConcurrency: getEnvNumber('ocrConcurrency') || fileConfig.ocrConcurrency || DEFAULTS.ocrConcurrency,
+    ocrBatchSize: getEnvNumber('ocrBatchSize') ?? fileConfig.ocrBatchSize ?? DEFAULTS.ocrBatchSize,
+    transcribeConcurrency: getEnvNumber('transcribeConcurrency') || fileConfig.transcribeConcurrency || DEFAULTS.transcribeConcurrency,
+    followLinksMax: getEnvNumber('followLinksMax') ?? fileConfig.followLinksMax ?? DEFAULTS.followLinksMax,
+    followLinksMaxChars: getEnvNumber('followLinksMaxChars') ?? fileConfig.followLinksMaxChars ?? DEFAULTS.followLinksMaxChars
   };
 
   setCachedConfig(config);
   return config;
 }
 
+// `~/models/x.bin` from config.json or the env: spawn() doesn't expand `~`.
+function resolveUserPath(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const trimmed = value.trim();
+  const expanded = trimmed === '~' || trimmed.startsWith('~/') ? path.join(os.homedir(), trimmed.slice(1)) : trimmed;
+  return path.resolve(expanded);
+}
+
 export async function saveConfigValue(key, value) {
   const fileConfig = (await readConfigFile()) || {};
   fileConfig[key] = value;
@@ -61,6 +88,7 @@ export async function saveConfig(updates) {
 
 export async function isConfigured() {
   const config = await loadConfig();
-  return Boolean(config.mistralApiKey);
+  // Tesseract needs no key: picking it is enough to run offline.
+  return Boolean(config.mistralApiKey) || /\btesseract\b/i.test(String(config.ocrProvider));
 }
 
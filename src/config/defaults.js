@@ -9,6 +9,21 @@ export const DEFAULTS = {
   openaiReasoningEffort: 'xhigh',
   whisperSegmentSeconds: 480,
   whisperBitrate: '48k',
-  whisperSampleRate: '16000'
+  whisperSampleRate: '16000',
+  batchConcurrency: 3,
+  historyBackend: 'jsonl',
+  cache: true,
+  ocrConcurrency: 4,
+  ocrBatchSize: 8,
+  ocrProvider: 'auto',
+  tesseractLanguages: ['spa', 'eng'],
+  transcribeConcurrency: 2,
+  transcribeProvider: 'auto',
+  whisperCppBinary: 'whisper-cli',
+  whisperConcurrency: 3,
+  whisperRetries: 3,
+  subtitleLanguages: ['es', 'en'],
+  followLinksMax: 5,
+  followLinksMaxChars: 40000
 };
 
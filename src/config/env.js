@@ -18,23 +18,49 @@ const ENV_MAPPINGS = {
   openaiReasoningEffort: ['TWX_OPENAI_REASONING_EFFORT', 'OPENAI_REASONING_EFFORT'],
   agentMaxOutputTokens: ['AGENT_MAX_OUTPUT_TOKENS', 'OPENAI_MAX_OUTPUT_TOKENS', 'GEMINI_MAX_OUTPUT_TOKENS', 'CLAUDE_MAX_OUTPUT_TOKENS'],
   transcribeModel: ['OPENAI_TRANSCRIBE_MODEL'],
+  transcribeProvider: ['TWX_TRANSCRIBE_PROVIDER'],
+  transcribeLanguage: ['TWX_TRANSCRIBE_LANG'],
+  whisperCppBinary: ['WHISPER_CPP_BIN'],
+  whisperCppModel: ['WHISPER_CPP_MODEL'],
   ocrModel: ['MISTRAL_OCR_MODEL'],
-  mistralOrgId: ['MISTRAL_ORG_ID', 'MISTRAL_ORGANIZATION', 'MISTRAL_ORG']
+  mistralOrgId: ['MISTRAL_ORG_ID', 'MISTRAL_ORGANIZATION', 'MISTRAL_ORG'],
+  batchConcurrency: ['TWX_BATCH_CONCURRENCY'],
+  historyBackend: ['TWX_HISTORY_BACKEND'],
+  cache: ['TWX_CACHE'],
+  ocrConcurrency: ['TWX_OCR_CONCURRENCY'],
+  ocrBatchSize: ['TWX_OCR_BATCH'],
+  ocrProvider: ['TWX_OCR_PROVIDER'],
+  tesseractLanguages: ['TWX_TESSERACT_LANGS'],
+  transcribeConcurrency: ['TWX_TRANSCRIBE_CONCURRENCY'],
+  whisperConcurrency: ['TWX_WHISPER_CONCURRENCY'],
+  subtitleLanguages: ['TWX_SUB_LANGS'],
+  followLinksMax: ['TWX_FOLLOW_LINKS_MAX'],
+  followLinksMaxChars: ['TWX_FOLLOW_LINKS_CHARS']
 };
 
 export function getEnvValue(key) {
-  const envKeys = ENV_MAPPINGS[key];
-  if (!envKeys) return undefined;
+  const value = readEnv(key);
+  if (value === '1' || value === 'true') return true;
+  if (value === '0' || value === 'false') return false;
+  return value;
+}
+
+/**
+ * Numeric settings: "1" and "0" are counts here, not flags.
+ * undefined when unset or not a number.
+ */
+export function getEnvNumber(key) {
+  const value = readEnv(key);
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
 
-  for (const envKey of envKeys) {
+function readEnv(key) {
+  for (const envKey of ENV_MAPPINGS[key] || []) {
     const value = process.env[envKey];
-    if (value !== undefined && value !== '') {
-      if (value === '1' || value === 'true') return true;
-      if (value === '0' || value === 'false') return false;
-      return value;
-    }
+    if (value !== undefined && value !== '') return value;
   }
-
   return undefined;
 }
 
@@ -3,4 +3,9 @@ import os from 'node:os';
 
 export const CONFIG_DIR = path.join(os.homedir(), '.config', 'twx');
 export const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
-
+export const STYLES_DIR = path.join(CONFIG_DIR, 'styles');
+export const SOURCES_DIR = path.join(CONFIG_DIR, 'sources');
+export const DATA_DIR = path.join(os.homedir(), '.local', 'share', 'twx');
+export const HISTORY_FILE = path.join(DATA_DIR, 'history.jsonl');
+export const SPOOL_DIR = path.join(DATA_DIR, 'spool');
+export const CACHE_DIR = path.join(os.homedir(), '.cache', 'twx');
@@ -9,7 +9,8 @@ export async function getMissingKeys() {
   const missing = [];
 
   if (!config.mistralApiKey) {
-    missing.push({ key: 'mistralApiKey', name: 'Mistral', required: true, purpose: 'leer texto de imágenes' });
+    const offline = /\btesseract\b/i.test(String(config.ocrProvider));
+    missing.push({ key: 'mistralApiKey', name: 'Mistral', required: !offline, purpose: 'leer texto de imágenes (o Tesseract local)' });
   }
   if (config.agentProvider === 'gemini' && !config.geminiApiKey) {
     missing.push({ key: 'geminiApiKey', name: 'Gemini/Google', required: true, purpose: 'análisis con IA (proveedor Gemini)' });
@@ -55,17 +56,20 @@ export async function runSetup(options = {}) {
 
   const mistralKey = await clack.text({
     message: 'Mistral API key (for reading images)',
-    placeholder: 'sk-...',
-    validate: (value) => {
-      if (!value || value.trim() === '') return 'This key is required for OCR';
-    }
+    placeholder: 'sk-... (Enter to skip and use local Tesseract)',
+    defaultValue: ''
   });
 
   if (clack.isCancel(mistralKey)) {
     clack.cancel('Setup cancelled.');
     process.exit(0);
   }
-  updates.mistralApiKey = mistralKey.trim();
+  if (mistralKey && mistralKey.trim()) {
+    updates.mistralApiKey = mistralKey.trim();
+  } else {
+    updates.ocrProvider = 'tesseract';
+    clack.log.info('OCR will run locally with Tesseract (brew install tesseract tesseract-lang).');
+  }
 
   const geminiKey = await clack.text({
     message: 'Google/Gemini API key (for AI analysis)',
@@ -187,6 +191,8 @@ export async function showConfig() {
     console.log(`    Reason:   ${config.openaiReasoningEffort || 'xhigh'}`);
   }
   console.log(`    Max out:  ${config.agentMaxOutputTokens} tokens`);
+  console.log(`    OCR:      ${config.ocrProvider}`);
+  console.log(`    Transcribe: ${config.transcribeProvider}${config.whisperCppModel ? ` (whisper.cpp: ${config.whisperCppModel})` : ''}`);
   console.log(`    Mode:     ${config.mode}`);
   console.log(`    Verbose:  ${config.verbose ? 'yes' : 'no'}`);
   console.log('');
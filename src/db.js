@@ -1,112 +1,68 @@
-import mongoose from 'mongoose';
-import process from 'node:process';
+/**
+ * History facade - stable API for the rest of the codebase.
+ * The backend (JSONL file or MongoDB) lives under `src/storage/`.
+ */
 
-const cached = {
-  conn: null,
-  promise: null
-};
+import * as ui from './ui.js';
+import { getStorage } from './storage/index.js';
+import { getSpooledRun, listSpoolIds, replaySpool, spoolConversation } from './storage/spool.js';
 
-const resultSchema = new mongoose.Schema(
-  {
-    file: String,
-    type: String,
-    text: String,
-    error: String,
-    context: String
-  },
-  { _id: false }
-);
+const clampLimit = (limit) => Math.max(1, Math.min(limit, 100));
 
-const conversationSchema = new mongoose.Schema(
-  {
-    question: String,
-    answer: String,
-    createdAt: { type: Date, default: Date.now }
-  },
-  { _id: false }
-);
+let autoSyncDone = false;
 
-const runSchema = new mongoose.Schema(
-  {
-    source: {
-      url: String,
-      path: String
-    },
-    mode: String,
-    style: String,
-    ocrModel: String,
-    agentProvider: String,
-    agentModel: String,
-    whisperModel: String,
-    mediaResolution: String,
-    thinkingLevel: String,
-    promptName: String,
-    title: String,
-    reflection: String,
-    actionPlan: String,
-    finalResponse: String,
-    xml: String,
-    results: [resultSchema],
-    metadata: mongoose.Schema.Types.Mixed,
-    // Favoritos
-    isFavorite: { type: Boolean, default: false },
-    favoriteNote: String,
-    favoritedAt: Date,
-    // Conversaciones de follow-up
-    conversations: [conversationSchema]
-  },
-  {
-    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
-    versionKey: false
-  }
-);
-
-let RunModel = null;
+/**
+ * Replay the offline spool once per process, right after the store answered.
+ * Never throws: a failed replay leaves the spool for `twx sync`.
+ */
+async function autoSync(storage) {
+  if (autoSyncDone) return 0;
+  autoSyncDone = true;
+  if ((await listSpoolIds()).length === 0) return 0;
 
-export async function connectToDatabase() {
-  if (cached.conn) return cached.conn;
-  if (!cached.promise) {
-    const mongoUri =
-      process.env.MONGODB_URL ||
-      process.env.MONGO_URL ||
-      process.env.MONGO_URI ||
-      'mongodb://localhost:27017/twx_history';
-    cached.promise = mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 5000 });
-  }
-  cached.conn = await cached.promise;
-  if (!RunModel) {
-    RunModel = cached.conn.model('Run', runSchema, 'runs');
+  try {
+    const summary = await replaySpool(storage);
+    ui.debug('Spool replay:', summary);
+    return summary.saved + summary.merged;
+  } catch (error) {
+    ui.debug('Spool replay failed:', error.message);
+    return 0;
   }
-  return cached.conn;
 }
 
 export async function saveRun(payload) {
-  await connectToDatabase();
-  const doc = new RunModel(payload);
-  await doc.save();
-  return doc.toObject();
+  const storage = await getStorage();
+  const saved = await storage.saveRun(payload);
+  await autoSync(storage);
+  return saved;
 }
 
 export async function listRuns({ limit = 10 } = {}) {
-  await connectToDatabase();
-  const runs = await RunModel.find({})
-    .sort({ updatedAt: -1 })
-    .limit(Math.max(1, Math.min(limit, 100)))
-    .lean()
-    .exec();
-  return runs;
+  const storage = await getStorage();
+  const runs = await storage.listRuns({ limit: clampLimit(limit) });
+  return (await autoSync(storage)) > 0 ? storage.listRuns({ limit: clampLimit(limit) }) : runs;
 }
 
 export async function getRunById(id) {
-  await connectToDatabase();
   try {
-    const run = await RunModel.findById(id).lean().exec();
-    return run || null;
-  } catch {
-    return null;
+    const storage = await getStorage();
+    return (await storage.getRunById(id)) || (await getSpooledRun(id));
+  } catch (error) {
+    const spooled = await getSpooledRun(id);
+    if (spooled) return spooled;
+    throw error;
   }
 }
 
+/**
+ * Replay the offline spool into the configured store (`twx sync`).
+ */
+export async function syncSpool() {
+  const storage = await getStorage();
+  autoSyncDone = true;
+  return replaySpool(storage);
+}
+
 export function buildAutoTitle({ results = [], fallback }) {
   const pick = results.find((r) => r.text) || results[0];
   const raw = pick?.text || fallback || '';
@@ -123,48 +79,29 @@ export function buildAutoTitle({ results = [], fallback }) {
  * @returns {object} - { isFavorite: boolean }
  */
 export async function toggleFavorite(id, note = null) {
-  await connectToDatabase();
-  const run = await RunModel.findById(id);
-  if (!run) return null;
-
-  const wasF = run.isFavorite;
-  run.isFavorite = !wasF;
-
-  if (run.isFavorite) {
-    run.favoritedAt = new Date();
-    if (note) run.favoriteNote = note;
-  } else {
-    run.favoritedAt = null;
-    run.favoriteNote = null;
-  }
-
-  await run.save();
-  return { isFavorite: run.isFavorite };
+  const storage = await getStorage();
+  return storage.toggleFavorite(id, note);
 }
 
 /**
  * Obtener solo favoritos
  */
 export async function listFavorites({ limit = 50 } = {}) {
-  await connectToDatabase();
-  const runs = await RunModel.find({ isFavorite: true })
-    .sort({ updatedAt: -1 })
-    .limit(Math.max(1, Math.min(limit, 100)))
-    .lean()
-    .exec();
-  return runs;
+  const storage = await getStorage();
+  return storage.listRuns({ limit: clampLimit(limit), favoritesOnly: true });
 }
 
 /**
  * Agregar una conversación a un insight
  */
 export async function addConversation(id, question, answer) {
-  await connectToDatabase();
-  const run = await RunModel.findById(id);
-  if (!run) return null;
+  if (await getSpooledRun(id)) return spoolConversation(id, question, answer);
 
-  if (!run.conversations) run.conversations = [];
-  run.conversations.push({ question, answer, createdAt: new Date() });
-  await run.save();
-  return run.toObject();
+  try {
+    const storage = await getStorage();
+    return await storage.addConversation(id, question, answer);
+  } catch (error) {
+    ui.debug('Conversation spooled:', error.message);
+    return spoolConversation(id, question, answer);
+  }
 }
@@ -136,7 +136,7 @@ const ERROR_PATTERNS = [
   {
     pattern: /mongo.*connect|mongodb.*error|ECONNREFUSED.*27017/i,
     message: 'Could not connect to database.',
-    tip: "If you don't need history, this won't affect basic functionality.",
+    tip: 'Start MongoDB or use the local file history (historyBackend: "jsonl", the default).',
   },
 ];
 
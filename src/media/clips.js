@@ -0,0 +1,111 @@
+/**
+ * Which parts of a recording get analyzed: `--clip` (one or more ranges) or
+ * `--around "phrase"` (windows around the moments the phrase is spoken).
+ *
+ * Transcription itself is injected (`transcribe(clipRange | null)` →
+ * `{ text, segments }`) so Whisper and native captions share this logic.
+ */
+
+import { formatTimestamp } from '../text/timestamps.js';
+
+export const DEFAULT_AROUND_WINDOW = 60;
+
+export async function transcribeSelection(transcribe, { clipRanges = [], around = null, window = null, HumanError }) {
+  if (around) {
+    const full = await transcribe(null);
+    if (!full.segments?.length) {
+      throw new HumanError('--around needs a transcript with timestamps.', {
+        tip: 'Use a video with captions, or set "transcribeModel": "whisper-1" (the only Whisper model with timings).'
+      });
+    }
+    const ranges = findPhraseWindows(full.segments, around, window || DEFAULT_AROUND_WINDOW);
+    if (!ranges.length) {
+      throw new HumanError(`"${around}" is never said in this recording.`, {
+        tip: 'Try a shorter phrase or a different spelling.'
+      });
+    }
+    return joinLabeled(ranges.map((range) => ({ range, ...selectSegments(full.segments, range) })));
+  }
+
+  if (clipRanges.length > 1) {
+    const parts = [];
+    for (const range of clipRanges) {
+      parts.push({ range, ...(await transcribe(range)) });
+    }
+    return joinLabeled(parts);
+  }
+
+  return transcribe(clipRanges[0] || null);
+}
+
+/**
+ * Windows of `windowSeconds` around every place the phrase is said (case and
+ * accent insensitive); overlapping windows are merged. The phrase is matched
+ * against the whole transcript, so it may span several segments: the window
+ * then runs from the first one's start to the last one's end.
+ */
+export function findPhraseWindows(segments, phrase, windowSeconds = DEFAULT_AROUND_WINDOW) {
+  const needle = fold(phrase);
+  if (!needle) return [];
+
+  // Joined transcript plus where each segment sits in it.
+  let joined = '';
+  const spans = [];
+  for (const segment of segments) {
+    const text = fold(segment.text);
+    if (!text) continue;
+    if (joined) joined += ' ';
+    spans.push({ from: joined.length, to: joined.length + text.length, segment });
+    joined += text;
+  }
+  const segmentAt = (offset) => spans.find((span) => offset < span.to)?.segment || spans[spans.length - 1].segment;
+
+  const half = Math.max(1, Number(windowSeconds) || DEFAULT_AROUND_WINDOW) / 2;
+  const hits = [];
+  for (let at = joined.indexOf(needle); at !== -1; at = joined.indexOf(needle, at + 1)) {
+    const first = segmentAt(at);
+    const last = segmentAt(at + needle.length - 1);
+    hits.push({ start: Math.max(0, first.start - half), end: last.end + half });
+  }
+
+  return mergeRanges(hits);
+}
+
+export function formatClipRange(range) {
+  const start = formatTimestamp(range.start ?? 0);
+  return range.end != null ? `${start}–${formatTimestamp(range.end)}` : `${start}–end`;
+}
+
+function selectSegments(segments, range) {
+  const end = range.end ?? Infinity;
+  const picked = segments.filter((segment) => segment.end > range.start && segment.start < end);
+  return { text: picked.map((segment) => segment.text).join(' '), segments: picked };
+}
+
+function joinLabeled(parts) {
+  const kept = parts.filter((part) => part.text?.trim());
+  return {
+    text: kept.map((part) => `[Clip ${formatClipRange(part.range)}]\n${part.text.trim()}`).join('\n\n'),
+    segments: kept.flatMap((part) => part.segments || [])
+  };
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+    else merged.push({ ...range });
+  }
+  return merged.map((range) => ({ start: Math.floor(range.start), end: Math.ceil(range.end) }));
+}
+
+function fold(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
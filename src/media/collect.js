@@ -2,12 +2,14 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import os from 'node:os';
 import { safeStat } from '../system/fs.js';
+import { toCount } from '../system/concurrency.js';
 import { collectMedia, getMediaType } from './files.js';
-import { downloadRemoteMedia } from './download.js';
+import { cachedDownloadRemoteMedia, isCacheEnabled } from '../cache/media.js';
+import { followLinks } from './links.js';
 
 export async function collectMediaItems(options, config, { debug, HumanError }) {
   const items = [];
-  let cleanup = null;
+  const downloadDirs = [];
 
   if (options.inputPath) {
     const stats = await safeStat(options.inputPath);
@@ -24,7 +26,7 @@ export async function collectMediaItems(options, config, { debug, HumanError })
       const type = getMediaType(options.inputPath);
       if (!type) {
         throw new HumanError(`Unsupported file type: ${options.inputPath}`, {
-          tip: 'Supported: images (jpg, png, gif, webp), audio (mp3, m4a, wav), video (mp4, mkv, mov)'
+          tip: 'Supported: images (jpg, png, gif, webp), audio (mp3, m4a, wav), video (mp4, mkv, mov), documents (pdf, docx, epub, html, srt, vtt), text (txt, md)'
         });
       }
       items.push({ path: options.inputPath, type });
@@ -32,14 +34,48 @@ export async function collectMediaItems(options, config, { debug, HumanError })
   }
 
   if (options.url) {
-    const download = await downloadRemoteMedia(options.url, config, { thread: options.thread }, { debug, HumanError });
+    const download = await cachedDownloadRemoteMedia(
+      options.url,
+      config,
+      { thread: options.thread, whisper: options.forceWhisper, frames: options.frames },
+      { debug, HumanError },
+      { cache: isCacheEnabled(options, config) }
+    );
     items.push(...download.items);
+    if (download.baseDir) downloadDirs.push(download.baseDir);
 
-    if (download.baseDir && !config.keepDownloads) {
-      cleanup = () => fs.rm(download.baseDir, { recursive: true, force: true }).catch(() => {});
+    if (options.followLinks > 0) {
+      try {
+        const linked = await followLinks(download.items, {
+          rootUrl: options.url,
+          depth: options.followLinks,
+          maxLinks: toCount(config.followLinksMax, 5),
+          debug,
+          download: async (url) => {
+            const linkedDownload = await cachedDownloadRemoteMedia(
+              url,
+              config,
+              { whisper: options.forceWhisper, frames: options.frames },
+              { debug, HumanError },
+              { cache: isCacheEnabled(options, config) }
+            );
+            if (linkedDownload.baseDir) downloadDirs.push(linkedDownload.baseDir);
+            return linkedDownload.items;
+          }
+        });
+        items.push(...linked);
+      } catch (error) {
+        // Linked content is extra: the post itself (and its cleanup) still goes through.
+        if (debug) debug('Following links failed:', error.message);
+      }
     }
   }
 
+  const cleanup =
+    downloadDirs.length && !config.keepDownloads
+      ? () => Promise.all(downloadDirs.map((dir) => fs.rm(dir, { recursive: true, force: true }).catch(() => {})))
+      : null;
+
   // Back-compat: keepDownloads + TMP roots are managed by download modules.
   if (config.downloadRoot && config.downloadRoot.startsWith(os.tmpdir())) {
     // noop (historical)
@@ -8,6 +8,8 @@ export const IMAGE_MIME_TYPES = {
   '.avif': 'image/avif',
   '.bmp': 'image/bmp',
   '.gif': 'image/gif',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
   '.jpeg': 'image/jpeg',
   '.jpg': 'image/jpeg',
   '.png': 'image/png',
@@ -19,18 +21,9 @@ export const IMAGE_MIME_TYPES = {
 export const VIDEO_EXTENSIONS = new Set(['.mp4', '.mkv', '.mov', '.webm', '.m4v']);
 export const AUDIO_EXTENSIONS = new Set(['.mp3', '.m4a', '.aac', '.wav', '.flac', '.ogg', '.opus']);
 export const TEXT_EXTENSIONS = new Set(['.txt', '.md', '.rtf']);
+export const DOCUMENT_EXTENSIONS = new Set(['.pdf', '.docx', '.epub', '.html', '.htm', '.xhtml', '.srt', '.vtt']);
 
 export const TWITTER_HOSTS = new Set(['twitter.com', 'www.twitter.com', 'x.com', 'www.x.com', 'mobile.twitter.com']);
-export const YTDLP_HOSTS = new Set([
-  'youtube.com',
-  'www.youtube.com',
-  'm.youtube.com',
-  'youtu.be',
-  'instagram.com',
-  'www.instagram.com',
-  'instagr.am'
-]);
-export const REDDIT_HOSTS = new Set(['reddit.com', 'www.reddit.com', 'old.reddit.com']);
 
 export const TWITTER_THREAD_API =
   process.env.TWITTER_THREAD_API_URL || 'https://superexplainer.app/twitter-api/scrape_thread/';
@@ -10,6 +10,12 @@ export async function gatherContextForItems(items) {
     const absolutePath = path.resolve(item.path);
     const contexts = [];
 
+    // Web articles carry their metadata on the item (no file next to them).
+    if (item.meta) {
+      const ctx = extractContextText(item.meta);
+      if (ctx) contexts.push(ctx);
+    }
+
     const perFileMeta = await readJSONIfExists(`${absolutePath}.json`);
     if (perFileMeta) {
       const ctx = extractContextText(perFileMeta);
@@ -81,8 +87,13 @@ function extractContextText(meta) {
 
   const poster = meta.author || meta.uploader || meta.owner || meta.channel;
   add('Autor', poster);
+  // The sound behind a TikTok or a Reel is often half of what it says.
+  add('Audio', [meta.track, meta.artist].filter(Boolean).join(' — '));
+  add('Texto en pantalla', meta.on_screen_text);
 
-  if (meta.upload_date) segments.add(`Fecha: ${meta.upload_date}`);
+  if (meta.upload_date || meta.date) segments.add(`Fecha: ${meta.upload_date || meta.date}`);
+  add('Sitio', meta.site_name);
+  add('URL', meta.url);
   if (Array.isArray(meta.tags)) segments.add(`Tags: ${meta.tags.slice(0, 12).join(', ')}`);
 
   return Array.from(segments).join('\n');
@@ -0,0 +1,46 @@
+/**
+ * Local documents (`type: 'document'`): PDF through OCR (see ocr.js), the rest
+ * parsed locally. Returns `{ text, segments? }` like the other extractors;
+ * subtitle files keep their cue timings as segments.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { openZip } from '../system/zip.js';
+import { cachedExtractTextFromPdf } from '../cache/media.js';
+import { docxToText } from './text/docx.js';
+import { epubToText } from './text/epub.js';
+import { extractHtmlTitle, htmlToText } from './text/html.js';
+import { parseSubtitleCues, subtitlesToText } from './text/subtitles.js';
+
+export async function extractDocumentText({ filePath, config, debug, HumanError, cache = true }) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.pdf') {
+    return { text: await cachedExtractTextFromPdf({ filePath, config, debug, HumanError, cache }) };
+  }
+
+  if (ext === '.srt' || ext === '.vtt') {
+    const cues = parseSubtitleCues(await fs.readFile(filePath, 'utf8'));
+    return { text: subtitlesToText(cues), segments: cues };
+  }
+
+  if (ext === '.html' || ext === '.htm' || ext === '.xhtml') {
+    const html = await fs.readFile(filePath, 'utf8');
+    const title = extractHtmlTitle(html);
+    return { text: [title ? `# ${title}` : '', htmlToText(html)].filter(Boolean).join('\n\n') };
+  }
+
+  try {
+    const zip = openZip(await fs.readFile(filePath));
+    if (ext === '.docx') return { text: docxToText(zip) };
+    if (ext === '.epub') return { text: epubToText(zip) };
+  } catch (error) {
+    throw new HumanError(`Could not read ${path.basename(filePath)}.`, {
+      tip: 'The file may be damaged or password-protected.',
+      technical: error.message
+    });
+  }
+
+  throw new HumanError(`Unsupported document: ${path.basename(filePath)}`);
+}
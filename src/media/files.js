@@ -1,6 +1,6 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import { IMAGE_MIME_TYPES, VIDEO_EXTENSIONS, AUDIO_EXTENSIONS, TEXT_EXTENSIONS } from './constants.js';
+import { IMAGE_MIME_TYPES, VIDEO_EXTENSIONS, AUDIO_EXTENSIONS, TEXT_EXTENSIONS, DOCUMENT_EXTENSIONS } from './constants.js';
 
 export async function collectMedia(targetPath, { recursive = true } = {}) {
   const entries = await fs.readdir(targetPath, { withFileTypes: true });
@@ -27,6 +27,7 @@ export function getMediaType(filePath) {
   if (VIDEO_EXTENSIONS.has(ext)) return 'video';
   if (AUDIO_EXTENSIONS.has(ext)) return 'audio';
   if (TEXT_EXTENSIONS.has(ext)) return 'text';
+  if (DOCUMENT_EXTENSIONS.has(ext)) return 'document';
   return null;
 }
 
@@ -0,0 +1,176 @@
+/**
+ * On-screen text from video keyframes (`--frames`).
+ *
+ * One ffmpeg pass (per --clip range, seeking straight to it) picks scene
+ * changes and writes, per frame, an OCR-sized JPEG plus a 9x8 grayscale
+ * thumbnail. Thumbnails give a difference hash, so a
+ * slide that stays up (or comes back) is only sent to OCR once.
+ */
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { runExternalCommand } from '../system/exec.js';
+import { mapWithConcurrency, toConcurrency } from '../system/concurrency.js';
+import { cachedExtractTextFromImage } from '../cache/media.js';
+import { createOcrBatcher } from './ocrBatch.js';
+import { ocrBatchSizeFor } from './ocr.js';
+
+const SCENE_THRESHOLD = 0.3;
+// Per video; split between the --clip ranges when there are several.
+const MAX_FRAMES = 40;
+// Bits (of 64) two thumbnails may differ by and still count as the same frame.
+const DUPLICATE_DISTANCE = 6;
+
+/**
+ * @returns {Promise<Array<{ start: number, text: string }>>} seconds in the source video
+ */
+export async function extractOnScreenText({ filePath, clipRanges = [], config, debug, HumanError, cache = true }) {
+  const ranges = clipRanges.length ? clipRanges : [{ start: null, end: null }];
+  const { frames, cleanup } = await extractKeyframes(filePath, { ranges, debug, HumanError });
+
+  try {
+    const unique = dedupeFrames(frames);
+    if (debug) debug(`Frames: ${frames.length} keyframes, ${unique.length} distinct`);
+
+    const batchSize = ocrBatchSizeFor(config);
+    const batcher = batchSize > 1 ? createOcrBatcher({ config, debug, HumanError, batchSize, concurrency: config.ocrConcurrency }) : null;
+    const texts = await mapWithConcurrency(unique, toConcurrency(config.ocrConcurrency, 4) * batchSize, async (frame) => {
+      try {
+        return await cachedExtractTextFromImage({ filePath: frame.path, config, debug, HumanError, cache, batcher });
+      } catch (error) {
+        // Frames without text are expected; one bad frame shouldn't sink the video.
+        if (debug) debug(`Frame ${frame.start}s: ${error.message}`);
+        return '';
+      }
+    });
+
+    const out = [];
+    unique.forEach((frame, index) => {
+      const text = String(texts[index] || '').trim();
+      if (!text || text === out[out.length - 1]?.text) return;
+      out.push({ start: frame.start, text });
+    });
+    return out;
+  } finally {
+    await cleanup();
+  }
+}
+
+async function extractKeyframes(filePath, { ranges, debug, HumanError }) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'twx-frames-'));
+  const cleanup = () => fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  const maxFrames = Math.max(1, Math.floor(MAX_FRAMES / ranges.length));
+
+  const frames = [];
+  try {
+    for (const [index, range] of ranges.entries()) {
+      const rangeDir = path.join(tmpDir, `range-${index}`);
+      await fs.mkdir(rangeDir);
+      frames.push(...(await extractRangeKeyframes(filePath, rangeDir, { range, maxFrames, debug, HumanError })));
+    }
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+  return { frames, cleanup };
+}
+
+// Input-side -ss/-t: ffmpeg seeks instead of decoding what comes before the
+// range. Timestamps then count from the range start, hence the offset below.
+async function extractRangeKeyframes(filePath, dir, { range, maxFrames, debug, HumanError }) {
+  const offset = range.start ?? 0;
+  const seek = [];
+  if (offset > 0) seek.push('-ss', String(offset));
+  if (range.end != null) seek.push('-t', String(Math.max(0, range.end - offset)));
+  // Relative (ffmpeg runs in dir): a filter argument can't hold a path with ':' unescaped.
+  const metaName = 'frames.txt';
+
+  const graph = [
+    `[0:v]select='eq(n,0)+gt(scene,${SCENE_THRESHOLD})',metadata=print:file=${metaName},split=2[full][thumb]`,
+    `[full]scale='min(1280,iw)':-2[f]`,
+    `[thumb]scale=9:8,format=gray[t]`
+  ].join(';');
+
+  try {
+    await runExternalCommand(
+      'ffmpeg',
+      [
+        '-hide_banner',
+        '-loglevel',
+        'error',
+        '-y',
+        ...seek,
+        '-i',
+        path.resolve(filePath),
+        '-filter_complex',
+        graph,
+        '-map',
+        '[f]',
+        '-fps_mode',
+        'vfr',
+        '-frames:v',
+        String(maxFrames),
+        'frame-%04d.jpg',
+        '-map',
+        '[t]',
+        '-fps_mode',
+        'vfr',
+        '-frames:v',
+        String(maxFrames),
+        '-f',
+        'image2',
+        '-c:v',
+        'rawvideo',
+        'thumb-%04d.gray'
+      ],
+      { debug, cwd: dir }
+    );
+  } catch (error) {
+    throw new HumanError('ffmpeg required to read video frames.', {
+      tip: 'Install with: brew install ffmpeg',
+      technical: error.message
+    });
+  }
+
+  const times = parseFrameTimes(await fs.readFile(path.join(dir, metaName), 'utf8').catch(() => ''));
+  const entries = (await fs.readdir(dir)).filter((n) => n.startsWith('frame-') && n.endsWith('.jpg')).sort();
+
+  const frames = [];
+  for (const [index, name] of entries.entries()) {
+    const thumb = await fs.readFile(path.join(dir, name.replace('frame-', 'thumb-').replace('.jpg', '.gray'))).catch(() => null);
+    frames.push({ path: path.join(dir, name), start: Math.floor(offset + (times[index] ?? 0)), hash: thumb ? differenceHash(thumb) : null });
+  }
+  return frames;
+}
+
+// `metadata=print` writes "frame:N pts:P pts_time:T" per selected frame.
+function parseFrameTimes(raw) {
+  return [...raw.matchAll(/pts_time:([\d.]+)/g)].map((m) => Number(m[1]));
+}
+
+// 9x8 grayscale → 64 bits: is each pixel brighter than its right neighbour?
+function differenceHash(pixels) {
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+    }
+  }
+  return bits;
+}
+
+function dedupeFrames(frames) {
+  const kept = [];
+  for (const frame of frames) {
+    const seen = frame.hash && kept.some((k) => k.hash && hammingDistance(k.hash, frame.hash) <= DUPLICATE_DISTANCE);
+    if (!seen) kept.push(frame);
+  }
+  return kept;
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) distance++;
+  return distance;
+}
@@ -0,0 +1,86 @@
+/**
+ * Any image → PNG/JPEG buffers that pdf-lib can embed.
+ *
+ * PNG and JPEG (by content, not extension: X serves WebP as .jpg) pass
+ * through. Everything else goes through ffmpeg; animated GIF/WebP yield a
+ * few representative frames. HEIC falls back to `sips` on macOS, since many
+ * ffmpeg builds can't decode it.
+ */
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { runExternalCommand } from '../system/exec.js';
+
+const MAX_ANIMATION_FRAMES = 3;
+
+/**
+ * @returns {Promise<Array<{ buffer: Buffer, mimeType: 'image/png' | 'image/jpeg' }>>}
+ */
+export async function normalizeImage(filePath, { debug, HumanError }) {
+  const buffer = await fs.readFile(filePath);
+  const format = sniffImageFormat(buffer);
+  if (format === 'png') return [{ buffer, mimeType: 'image/png' }];
+  if (format === 'jpeg') return [{ buffer, mimeType: 'image/jpeg' }];
+
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'twx-img-'));
+  try {
+    const animated = format === 'gif' || format === 'webp';
+    try {
+      await convertWithFfmpeg(filePath, tmpDir, { frames: animated ? MAX_ANIMATION_FRAMES : 1, debug });
+    } catch (error) {
+      if (!(format === 'heic' && process.platform === 'darwin')) {
+        throw new HumanError(`Could not convert ${path.basename(filePath)} to PNG.`, {
+          tip: 'Install ffmpeg (brew install ffmpeg) or convert the image to PNG/JPEG.',
+          technical: error.message
+        });
+      }
+      await runExternalCommand('sips', ['-s', 'format', 'png', filePath, '--out', path.join(tmpDir, 'frame-001.png')], { debug });
+    }
+
+    const names = (await fs.readdir(tmpDir)).filter((n) => n.endsWith('.png')).sort();
+    if (!names.length) throw new HumanError(`Could not convert ${path.basename(filePath)} to PNG.`);
+    if (debug) debug(`Normalized ${format || 'image'} → ${names.length} PNG frame(s):`, filePath);
+    return Promise.all(names.map(async (n) => ({ buffer: await fs.readFile(path.join(tmpDir, n)), mimeType: 'image/png' })));
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+async function convertWithFfmpeg(filePath, outDir, { frames, debug }) {
+  // First frame plus scene changes: one frame for stills, the key moments for animations.
+  const filters = frames > 1 ? ["select='eq(n,0)+gt(scene,0.2)'"] : [];
+  await runExternalCommand(
+    'ffmpeg',
+    [
+      '-hide_banner',
+      '-loglevel',
+      'error',
+      '-y',
+      '-i',
+      filePath,
+      ...(filters.length ? ['-vf', filters.join(','), '-fps_mode', 'vfr'] : []),
+      '-frames:v',
+      String(frames),
+      path.join(outDir, 'frame-%03d.png')
+    ],
+    { debug }
+  );
+}
+
+function sniffImageFormat(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  if (buffer[0] === 0x89 && ascii(1, 4) === 'PNG') return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand.startsWith('avi')) return 'avif';
+    if (/^(heic|heix|hevc|hevx|mif1|msf1)$/.test(brand)) return 'heic';
+  }
+  if (ascii(0, 2) === 'BM') return 'bmp';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+  return null;
+}
@@ -0,0 +1,127 @@
+/**
+ * `--follow-links [depth]`: URLs found in what was downloaded (tweet text,
+ * metadata JSON, Reddit posts, article bodies) are resolved (t.co and other
+ * shorteners) and pulled through the same downloader. Linked items carry
+ * `parent` (the page that had the link) and `sourceUrl` (the link itself).
+ *
+ * Bounded by `followLinksMax` links per run; the text budget
+ * (`followLinksMaxChars`) is applied after extraction.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readJSONIfExists } from '../system/fs.js';
+
+const RESOLVE_TIMEOUT_MS = 10000;
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/gi;
+// Metadata keys whose strings are written by people (not media or avatar URLs).
+const TEXT_KEYS = /^(content|text|full_text|tweet_text|description|caption|selftext|summary|body|expanded_url|urls?)$/i;
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref_src|ref_url|mc_cid|mc_eid)$/i;
+// Media CDNs and profile chrome: never content worth following.
+const SKIP_HOSTS = /(^|\.)(twimg\.com|pbs\.twimg\.com|ytimg\.com|fbcdn\.net|cdninstagram\.com|redditmedia\.com|redd\.it|gravatar\.com)$/i;
+
+export async function followLinks(rootItems, { rootUrl, depth, maxLinks, download, debug }) {
+  const seen = new Set([canonicalUrl(rootUrl)].filter(Boolean));
+  // Pages already pulled: a link to one of their sub-pages (a tweet's own /photo/1) is the same content.
+  const pulled = [...seen];
+  const linked = [];
+  // Links, not items: one gallery link can bring back a dozen files.
+  let followed = 0;
+  let frontier = rootItems.map((item) => ({ item, parent: rootUrl }));
+
+  for (let level = 1; level <= depth && frontier.length && followed < maxLinks; level++) {
+    const next = [];
+    for (const { item, parent } of frontier) {
+      if (followed >= maxLinks) break;
+      for (const raw of await linksOfItem(item)) {
+        if (followed >= maxLinks) break;
+        const key = canonicalUrl(raw);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+
+        const url = await resolveRedirects(raw, { debug });
+        const resolved = canonicalUrl(url);
+        if (!resolved || SKIP_HOSTS.test(new URL(url).hostname) || (resolved !== key && seen.has(resolved))) continue;
+        if (pulled.some((page) => resolved.startsWith(`${page}/`))) continue;
+        seen.add(resolved);
+        pulled.push(resolved);
+        followed += 1;
+
+        try {
+          if (debug) debug(`Following link (depth ${level}):`, url);
+          const items = await download(url);
+          for (const child of items) {
+            const tagged = { ...child, parent, sourceUrl: url };
+            linked.push(tagged);
+            next.push({ item: tagged, parent: url });
+          }
+        } catch (error) {
+          // A dead link shouldn't sink the post that contained it.
+          if (debug) debug('Linked content failed:', url, error.message);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return linked;
+}
+
+export function extractUrls(text) {
+  return (String(text || '').match(URL_PATTERN) || []).map((url) => url.replace(/[.,;:!?)\]}»”…]+$/, ''));
+}
+
+async function linksOfItem(item) {
+  const urls = [...(item.links || []), ...extractUrls(item.inlineText)];
+  if (item.type === 'text' && !item.inlineText && item.path) {
+    urls.push(...extractUrls(await fs.readFile(item.path, 'utf8').catch(() => '')));
+  }
+
+  // gallery-dl metadata: `<file>.json` per file and `*.info.json` per directory.
+  if (item.path && !/^https?:/i.test(item.path)) {
+    const absolutePath = path.resolve(item.path);
+    const metas = [await readJSONIfExists(`${absolutePath}.json`)];
+    const dir = path.dirname(absolutePath);
+    for (const name of await fs.readdir(dir).catch(() => [])) {
+      if (name.endsWith('.info.json')) metas.push(await readJSONIfExists(path.join(dir, name)));
+    }
+    for (const meta of metas) urls.push(...urlsInMetadata(meta));
+  }
+  return urls;
+}
+
+function urlsInMetadata(value, key = '') {
+  if (typeof value === 'string') return TEXT_KEYS.test(key) ? extractUrls(value) : [];
+  if (Array.isArray(value)) return value.flatMap((entry) => urlsInMetadata(entry, key));
+  if (value && typeof value === 'object') return Object.entries(value).flatMap(([k, v]) => urlsInMetadata(v, k));
+  return [];
+}
+
+// HEAD first (cheap); some servers only redirect on GET.
+async function resolveRedirects(url, { debug }) {
+  for (const method of ['HEAD', 'GET']) {
+    try {
+      const response = await fetch(url, { method, redirect: 'follow', signal: AbortSignal.timeout(RESOLVE_TIMEOUT_MS) });
+      await response.body?.cancel().catch(() => {});
+      if (response.ok && response.url) return response.url;
+    } catch (error) {
+      if (debug) debug(`Resolving ${url} (${method}) failed:`, error.message);
+    }
+  }
+  return url;
+}
+
+// Same page regardless of fragment, tracking parameters or trailing slash.
+function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+    }
+    const host = parsed.hostname.replace(/^(www|mobile)\./, '').replace(/^twitter\.com$/, 'x.com');
+    return `${host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+  } catch {
+    return null;
+  }
+}
@@ -1,95 +1,155 @@
-import fs from 'node:fs/promises';
-import path from 'node:path';
-import { PDFDocument } from 'pdf-lib';
-import { IMAGE_MIME_TYPES, MAX_INLINE_FILE_BYTES } from './constants.js';
-
-export async function extractTextFromImage({ filePath, config, debug, HumanError }) {
-  if (!config.mistralApiKey) {
-    throw new HumanError('Mistral API key required for OCR.');
-  }
-
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeType = IMAGE_MIME_TYPES[ext] || 'image/png';
-  const buffer = await fs.readFile(filePath);
+/**
+ * OCR entry points. The work goes to a chain of providers (`ocrProvider`):
+ * Mistral (API) and Tesseract (local). `auto` tries Mistral when its key is
+ * set, then Tesseract; a list like "tesseract" or "mistral,tesseract" pins
+ * the order. A provider that fails hands the image to the next one; one
+ * that reads nothing doesn't (that is an answer, not a failure).
+ */
 
-  if (buffer.length > MAX_INLINE_FILE_BYTES) {
-    throw new HumanError('Image too large.', {
-      tip: `Limit is 20MB. This image is ${Math.round(buffer.length / (1024 * 1024))}MB.`
-    });
-  }
+import fs from 'node:fs/promises';
+import { MAX_INLINE_FILE_BYTES } from './constants.js';
+import { normalizeImage } from './imageNormalize.js';
+import { toConcurrency } from '../system/concurrency.js';
+import * as mistral from './ocr/mistral.js';
+import * as tesseract from './ocr/tesseract.js';
+
+const PROVIDERS = { mistral, tesseract };
+const AUTO_CHAIN = ['mistral', 'tesseract'];
+
+/**
+ * Providers to try, in order, among those usable with this config.
+ * @returns {string[]}
+ */
+export function ocrProviderNames(config) {
+  return parseProviderList(config.ocrProvider).filter((name) => PROVIDERS[name]?.isAvailable(config));
+}
 
-  const pdfBuffer = await imageToPdfBuffer(buffer, mimeType);
-  const dataUrl = `data:application/pdf;base64,${pdfBuffer.toString('base64')}`;
+/**
+ * `ocrBatchSize`, or 1 when the first provider reads one image at a time
+ * (Tesseract): batching it would only multiply the local processes.
+ */
+export function ocrBatchSizeFor(config) {
+  const [first] = ocrProviderNames(config);
+  return first && PROVIDERS[first].readImageBatch ? toConcurrency(config.ocrBatchSize, 1) : 1;
+}
 
-  const headers = {
-    Authorization: `Bearer ${config.mistralApiKey}`,
-    'Content-Type': 'application/json'
-  };
+export async function extractTextFromImage({ filePath, config, debug, HumanError }) {
+  const providers = resolveProviders(config, { HumanError });
+  const images = await readImageForOcr(filePath, { debug, HumanError });
+  const text = await withFallback(providers, (provider) => provider.readImages(images, { config, debug, HumanError }), { debug });
+  return requireImageText(text, { HumanError });
+}
 
-  if (config.mistralOrgId) {
-    headers['Mistral-Organization'] = config.mistralOrgId;
+/**
+ * Several images at once. Providers that can batch (Mistral: one multi-page
+ * request) get them together; if that fails every image goes through the
+ * chain on its own.
+ *
+ * @returns {Promise<Array<{ text: string } | { error: Error }>>} in input order
+ */
+export async function extractTextFromImages({ filePaths, config, debug, HumanError }) {
+  const single = (filePath) =>
+    extractTextFromImage({ filePath, config, debug, HumanError }).then(
+      (text) => ({ text }),
+      (error) => ({ error })
+    );
+
+  let primary;
+  try {
+    [primary] = resolveProviders(config, { HumanError });
+  } catch (error) {
+    return filePaths.map(() => ({ error }));
   }
-
-  if (debug) debug('Calling Mistral OCR, bytes:', buffer.length);
-
-  const response = await fetch('https://api.mistral.ai/v1/ocr', {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({
-      model: config.ocrModel || 'mistral-ocr-latest',
-      document: { type: 'document_url', document_url: dataUrl }
-    })
-  });
-
-  const raw = await response.text();
-  if (!response.ok) {
-    throw new HumanError('Mistral OCR failed.', {
-      technical: `${response.status} ${response.statusText}: ${raw.slice(0, 200)}`
+  if (filePaths.length <= 1 || !primary.readImageBatch) return Promise.all(filePaths.map(single));
+
+  try {
+    const perFile = await Promise.all(filePaths.map((filePath) => readImageForOcr(filePath, { debug, HumanError })));
+    const texts = await primary.readImageBatch(perFile, { config, debug, HumanError });
+    return texts.map((text) => {
+      try {
+        return { text: requireImageText(text, { HumanError }) };
+      } catch (error) {
+        return { error };
+      }
     });
+  } catch (error) {
+    if (debug) debug('OCR batch failed, falling back to one call per image:', error.message);
+    return Promise.all(filePaths.map(single));
   }
+}
 
-  const data = JSON.parse(raw);
-  const text = extractMistralOcrText(data);
+/**
+ * Every page in one go; text comes back page-numbered so the agent can cite pages.
+ */
+export async function extractTextFromPdf({ filePath, config, debug, HumanError }) {
+  const providers = resolveProviders(config, { HumanError, purpose: 'to read PDFs' });
+  const pages = await withFallback(providers, (provider) => provider.readPdf(filePath, { config, debug, HumanError }), { debug });
 
-  if (!text) {
-    throw new HumanError('Could not read text from image.', {
-      tip: 'Image may be too blurry or contain no text.'
+  if (!pages.length) {
+    throw new HumanError('Could not read text from PDF.', {
+      tip: 'It may be a scan with no legible text, or empty.'
     });
   }
-
-  return text.trim();
+  return pages
+    .map((page) => `[Página ${page.number}]\n${page.text}`)
+    .join('\n\n')
+    .trim();
 }
 
-async function imageToPdfBuffer(imageBuffer, mimeType) {
-  const pdfDoc = await PDFDocument.create();
-  let embedded;
+function parseProviderList(value) {
+  const list = Array.isArray(value) ? value : String(value || 'auto').split(/[\s,]+/);
+  const names = list.map((name) => String(name).trim().toLowerCase()).filter(Boolean);
+  return [...new Set(names.flatMap((name) => (name === 'auto' ? AUTO_CHAIN : [name])))];
+}
 
-  if (mimeType === 'image/png' || mimeType === 'image/webp' || mimeType === 'image/gif') {
-    embedded = await pdfDoc.embedPng(imageBuffer);
-  } else {
-    embedded = await pdfDoc.embedJpg(imageBuffer);
+function resolveProviders(config, { HumanError, purpose = 'for OCR' }) {
+  const unknown = parseProviderList(config.ocrProvider).find((name) => !PROVIDERS[name]);
+  if (unknown) {
+    throw new HumanError(`Unknown OCR provider "${unknown}".`, {
+      tip: 'Use "auto", "mistral", "tesseract" or a list like "mistral,tesseract".'
+    });
   }
 
-  const page = pdfDoc.addPage([embedded.width, embedded.height]);
-  page.drawImage(embedded, { x: 0, y: 0, width: embedded.width, height: embedded.height });
-  return Buffer.from(await pdfDoc.save());
+  const names = ocrProviderNames(config);
+  if (!names.length) {
+    throw new HumanError(`Mistral API key required ${purpose}.`, {
+      tip: 'Run "twx config" to add it, or set ocrProvider to "tesseract" to work offline.'
+    });
+  }
+  return names.map((name) => PROVIDERS[name]);
 }
 
-function extractMistralOcrText(data) {
-  const parts = [];
-  const pages = data?.result?.pages || data?.pages;
-
-  if (Array.isArray(pages)) {
-    for (const page of pages) {
-      const text = page?.text || page?.output_text || page?.content || page?.markdown;
-      if (text) parts.push(String(text));
+// When every provider fails the first error is the one worth showing: the
+// fallback failing too (often just not installed) says less.
+async function withFallback(providers, run, { debug }) {
+  let firstError;
+  for (const provider of providers) {
+    try {
+      return await run(provider);
+    } catch (error) {
+      firstError ??= error;
+      if (debug) debug(`OCR (${provider.name}) failed:`, error?.message || error);
     }
   }
+  throw firstError;
+}
 
-  if (data?.output_text) parts.push(String(data.output_text));
-  if (data?.text) parts.push(String(data.text));
-  if (data?.result?.text) parts.push(String(data.result.text));
-
-  return parts.map((v) => v.trim()).filter(Boolean).join('\n\n');
+// → [{ buffer, mimeType }] PNG/JPEG, one per page (animations give several)
+async function readImageForOcr(filePath, { debug, HumanError }) {
+  const stats = await fs.stat(filePath);
+  if (stats.size > MAX_INLINE_FILE_BYTES) {
+    throw new HumanError('Image too large.', {
+      tip: `Limit is 20MB. This image is ${Math.round(stats.size / (1024 * 1024))}MB.`
+    });
+  }
+  return normalizeImage(filePath, { debug, HumanError });
 }
 
+function requireImageText(text, { HumanError }) {
+  if (!text) {
+    throw new HumanError('Could not read text from image.', {
+      tip: 'Image may be too blurry or contain no text.'
+    });
+  }
+  return text.trim();
+}
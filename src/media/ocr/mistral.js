@@ -0,0 +1,136 @@
+/**
+ * Mistral OCR (`config.ocrModel`): images go in as pages of one PDF, PDFs
+ * as-is. Needs `mistralApiKey`.
+ */
+
+import fs from 'node:fs/promises';
+import { PDFDocument } from 'pdf-lib';
+import { MAX_INLINE_FILE_BYTES } from '../constants.js';
+
+export const name = 'mistral';
+
+export function isAvailable(config) {
+  return Boolean(config.mistralApiKey);
+}
+
+// Every normalized frame of one image → one text.
+export async function readImages(images, { config, debug, HumanError }) {
+  const pdfBuffer = await imagesToPdfBuffer(images);
+  if (debug) debug('Calling Mistral OCR, bytes:', pdfBuffer.length);
+  return extractMistralOcrText(await callMistralOcr(pdfBuffer, { config, HumanError }));
+}
+
+/**
+ * Several images, one request: each frame becomes a page and pages map back
+ * to their file. Throws when the batch can't be trusted (too big, page count
+ * off) so the caller can go image by image.
+ *
+ * @param {Array<Array<{ buffer: Buffer, mimeType: string }>>} perFile
+ * @returns {Promise<string[]>} one text per file, in input order
+ */
+export async function readImageBatch(perFile, { config, debug, HumanError }) {
+  const pdfBuffer = await imagesToPdfBuffer(perFile.flat());
+  if (pdfBuffer.length > MAX_INLINE_FILE_BYTES) throw new Error(`batch PDF is ${pdfBuffer.length} bytes`);
+
+  const pageCount = perFile.reduce((sum, images) => sum + images.length, 0);
+  if (debug) debug(`Calling Mistral OCR (batch of ${perFile.length}, ${pageCount} pages), bytes:`, pdfBuffer.length);
+  const data = await callMistralOcr(pdfBuffer, { config, HumanError });
+  const pages = data?.result?.pages || data?.pages || [];
+  if (pages.length !== pageCount) throw new Error(`expected ${pageCount} pages, got ${pages.length}`);
+
+  const byIndex = new Map(pages.map((page, i) => [page?.index ?? i, pageText(page)]));
+  let first = 0;
+  return perFile.map((images) => {
+    const texts = images.map((_, i) => byIndex.get(first + i)).filter(Boolean);
+    first += images.length;
+    return texts.join('\n\n');
+  });
+}
+
+// → [{ number, text }]; one request for every page.
+export async function readPdf(filePath, { config, debug, HumanError }) {
+  const buffer = await fs.readFile(filePath);
+  if (buffer.length > MAX_INLINE_FILE_BYTES) {
+    throw new HumanError('PDF too large.', {
+      tip: `Limit is 20MB. This PDF is ${Math.round(buffer.length / (1024 * 1024))}MB. Split it first.`
+    });
+  }
+
+  if (debug) debug('Calling Mistral OCR (pdf), bytes:', buffer.length);
+  const data = await callMistralOcr(buffer, { config, HumanError });
+  const pages = (data?.result?.pages || data?.pages || [])
+    .map((page, i) => ({ number: (page?.index ?? i) + 1, text: pageText(page) }))
+    .filter((page) => page.text);
+  if (pages.length) return pages;
+
+  const text = extractMistralOcrText(data);
+  return text ? [{ number: 1, text }] : [];
+}
+
+async function callMistralOcr(pdfBuffer, { config, HumanError }) {
+  const dataUrl = `data:application/pdf;base64,${pdfBuffer.toString('base64')}`;
+
+  const headers = {
+    Authorization: `Bearer ${config.mistralApiKey}`,
+    'Content-Type': 'application/json'
+  };
+
+  if (config.mistralOrgId) {
+    headers['Mistral-Organization'] = config.mistralOrgId;
+  }
+
+  const response = await fetch('https://api.mistral.ai/v1/ocr', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: config.ocrModel || 'mistral-ocr-latest',
+      document: { type: 'document_url', document_url: dataUrl }
+    })
+  });
+
+  const raw = await response.text();
+  if (!response.ok) {
+    throw new HumanError('Mistral OCR failed.', {
+      technical: `${response.status} ${response.statusText}: ${raw.slice(0, 200)}`
+    });
+  }
+
+  return JSON.parse(raw);
+}
+
+// One page per image, sized to the image. Input is normalized PNG/JPEG.
+async function imagesToPdfBuffer(images) {
+  const pdfDoc = await PDFDocument.create();
+
+  for (const { buffer, mimeType } of images) {
+    const embedded = mimeType === 'image/png' ? await pdfDoc.embedPng(buffer) : await pdfDoc.embedJpg(buffer);
+
+    const page = pdfDoc.addPage([embedded.width, embedded.height]);
+    page.drawImage(embedded, { x: 0, y: 0, width: embedded.width, height: embedded.height });
+  }
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+function extractMistralOcrText(data) {
+  const parts = [];
+  const pages = data?.result?.pages || data?.pages;
+
+  if (Array.isArray(pages)) {
+    for (const page of pages) {
+      const text = pageText(page);
+      if (text) parts.push(text);
+    }
+  }
+
+  if (data?.output_text) parts.push(String(data.output_text));
+  if (data?.text) parts.push(String(data.text));
+  if (data?.result?.text) parts.push(String(data.result.text));
+
+  return parts.map((v) => v.trim()).filter(Boolean).join('\n\n');
+}
+
+function pageText(page) {
+  const text = page?.text || page?.output_text || page?.content || page?.markdown;
+  return text ? String(text).trim() : '';
+}
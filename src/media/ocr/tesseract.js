@@ -0,0 +1,78 @@
+/**
+ * Local OCR with the Tesseract CLI: nothing leaves the machine. Languages
+ * come from `tesseractLanguages` (installed traineddata packs, e.g. spa+eng).
+ * PDFs are rasterized first with `pdftoppm` (poppler).
+ */
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { runExternalCommand } from '../../system/exec.js';
+
+export const name = 'tesseract';
+
+const PDF_DPI = 300;
+
+// Found or not is only known when it runs; a failure moves on to the next provider.
+export function isAvailable() {
+  return true;
+}
+
+export async function readImages(images, { config, debug, HumanError }) {
+  const texts = [];
+  for (const { buffer } of images) {
+    texts.push(await runTesseract('stdin', { input: buffer, config, debug, HumanError }));
+  }
+  return texts.filter(Boolean).join('\n\n');
+}
+
+export async function readPdf(filePath, { config, debug, HumanError }) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'twx-pdf-'));
+  try {
+    try {
+      await runExternalCommand('pdftoppm', ['-r', String(PDF_DPI), '-png', filePath, path.join(tmpDir, 'page')], { debug });
+    } catch (error) {
+      throw new HumanError('Could not rasterize the PDF for Tesseract.', {
+        tip: 'Install poppler (brew install poppler) or use Mistral for PDFs.',
+        technical: error.message
+      });
+    }
+
+    // pdftoppm pads the page number to the page count: page-1.png or page-01.png.
+    const pages = (await fs.readdir(tmpDir))
+      .map((file) => ({ file, number: Number(file.match(/-(\d+)\.png$/)?.[1]) }))
+      .filter((page) => page.number)
+      .sort((a, b) => a.number - b.number);
+
+    const results = [];
+    for (const page of pages) {
+      const text = await runTesseract(path.join(tmpDir, page.file), { config, debug, HumanError });
+      if (text) results.push({ number: page.number, text });
+    }
+    return results;
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+export function normalizeTesseractLanguages(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,+]+/);
+  const languages = list.map((lang) => String(lang).trim()).filter(Boolean);
+  return languages.length ? languages.join('+') : 'eng';
+}
+
+async function runTesseract(source, { input = null, config, debug, HumanError }) {
+  const languages = normalizeTesseractLanguages(config.tesseractLanguages);
+  try {
+    const stdout = await runExternalCommand('tesseract', [source, 'stdout', '-l', languages], { input, debug });
+    return stdout.replace(/\f/g, '').trim();
+  } catch (error) {
+    const missingLanguage = /Failed loading language|Error opening data file/i.test(error.message);
+    throw new HumanError(missingLanguage ? `Tesseract language pack missing (${languages}).` : 'Tesseract OCR failed.', {
+      tip: missingLanguage
+        ? 'Install the packs (brew install tesseract-lang) or change tesseractLanguages.'
+        : 'Install it with "brew install tesseract", or set ocrProvider to "mistral".',
+      technical: error.message
+    });
+  }
+}
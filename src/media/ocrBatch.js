@@ -0,0 +1,43 @@
+/**
+ * Collects single-image OCR requests that arrive close together and sends
+ * them as one multi-page request (`extractTextFromImages`).
+ *
+ * Callers keep their per-image flow: `await batcher.load(path)` resolves to
+ * that image's text (or rejects with its own error).
+ */
+
+import { extractTextFromImages } from './ocr.js';
+import { createLimiter, toConcurrency } from '../system/concurrency.js';
+
+// Long enough for sibling items (hashing, cache lookups) to join the batch.
+const BATCH_WINDOW_MS = 50;
+
+export function createOcrBatcher({ config, debug, HumanError, batchSize, concurrency }) {
+  const size = toConcurrency(batchSize, 1);
+  const limit = createLimiter(toConcurrency(concurrency, 4));
+  let pending = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const batch = pending;
+    pending = [];
+    if (!batch.length) return;
+
+    limit(() => extractTextFromImages({ filePaths: batch.map((entry) => entry.filePath), config, debug, HumanError })).then(
+      (outcomes) => batch.forEach((entry, i) => (outcomes[i].error ? entry.reject(outcomes[i].error) : entry.resolve(outcomes[i].text))),
+      (error) => batch.forEach((entry) => entry.reject(error))
+    );
+  };
+
+  return {
+    load(filePath) {
+      return new Promise((resolve, reject) => {
+        pending.push({ filePath, resolve, reject });
+        if (pending.length >= size) flush();
+        else if (!timer) timer = setTimeout(flush, BATCH_WINDOW_MS);
+      });
+    }
+  };
+}
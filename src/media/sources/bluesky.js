@@ -0,0 +1,124 @@
+/**
+ * Bluesky posts through the public AppView API (no login): text, images,
+ * video and link cards; with --thread, the author's whole thread.
+ */
+
+import { FETCH_TIMEOUT_MS, postsToItems } from './posts.js';
+
+const API_ROOT = 'https://public.api.bsky.app/xrpc';
+const POST_PATH = /^\/profile\/([^/]+)\/post\/([a-z0-9]+)\/?$/i;
+const THREAD_DEPTH = 100;
+
+export const bluesky = {
+  name: 'bluesky',
+  hosts: ['bsky.app', 'www.bsky.app'],
+  // Profiles and feeds aren't posts: null hands them to the next adapter.
+  async fetch(url, ctx) {
+    const match = new URL(url).pathname.match(POST_PATH);
+    if (!match) return null;
+
+    const [, actor, rkey] = match;
+    const did = actor.startsWith('did:') ? actor : (await xrpc('com.atproto.identity.resolveHandle', { handle: actor }, ctx)).did;
+    const depth = ctx.flags.thread ? THREAD_DEPTH : 0;
+    const { thread } = await xrpc('app.bsky.feed.getPostThread', { uri: `at://${did}/app.bsky.feed.post/${rkey}`, depth, parentHeight: depth }, ctx);
+    if (!thread?.post) {
+      throw new ctx.HumanError('That Bluesky post is not available.', {
+        tip: 'It may be deleted, or only visible to logged-in users.',
+        technical: thread?.$type || 'no thread'
+      });
+    }
+
+    const views = ctx.flags.thread ? authorThread(thread) : [thread.post];
+    if (ctx.debug) ctx.debug('Bluesky posts:', views.length);
+    return postsToItems(views.map(toPost), { url, site: 'Bluesky', downloadRoot: ctx.downloadRoot, debug: ctx.debug });
+  }
+};
+
+async function xrpc(method, params, { debug, HumanError }) {
+  const apiUrl = new URL(`${API_ROOT}/${method}`);
+  for (const [key, value] of Object.entries(params)) apiUrl.searchParams.set(key, String(value));
+  if (debug) debug('Bluesky API:', apiUrl.toString());
+
+  let response;
+  try {
+    response = await fetch(apiUrl, { headers: { accept: 'application/json' }, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (error) {
+    throw new HumanError('Could not reach Bluesky.', {
+      tip: 'Check your connection and try again.',
+      technical: error.message
+    });
+  }
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new HumanError(`Bluesky answered ${response.status}.`, {
+      tip: 'Check that the post is public and the URL is complete.',
+      technical: `${data?.error || response.statusText}: ${data?.message || apiUrl}`
+    });
+  }
+  return data || {};
+}
+
+// Same-author parents above the post, then the chain of the author's own replies.
+function authorThread(node) {
+  const author = node.post.author.did;
+  const before = [];
+  for (let parent = node.parent; parent?.post?.author?.did === author; parent = parent.parent) before.unshift(parent.post);
+
+  const after = [];
+  for (let reply = selfReply(node, author); reply; reply = selfReply(reply, author)) after.push(reply.post);
+  return [...before, node.post, ...after];
+}
+
+function selfReply(node, author) {
+  const own = (node.replies || []).filter((reply) => reply?.post?.author?.did === author);
+  return own.sort((a, b) => String(a.post.indexedAt).localeCompare(String(b.post.indexedAt)))[0] || null;
+}
+
+function toPost(view) {
+  const record = view.record || {};
+  return {
+    handle: view.author.handle,
+    name: view.author.displayName || '',
+    text: record.text || '',
+    date: record.createdAt || view.indexedAt || '',
+    likes: view.likeCount ?? null,
+    url: `https://bsky.app/profile/${view.author.handle}/post/${String(view.uri).split('/').pop()}`,
+    quote: embedQuote(view.embed),
+    media: embedMedia(view.embed),
+    links: [...facetLinks(record.facets), ...embedLinks(view.embed)]
+  };
+}
+
+function embedMedia(embed) {
+  switch (embed?.$type) {
+    case 'app.bsky.embed.images#view':
+      return (embed.images || []).map((image) => ({ url: image.fullsize || image.thumb, kind: 'image', alt: image.alt || '' }));
+    case 'app.bsky.embed.video#view':
+      return embed.playlist ? [{ url: embed.playlist, kind: 'video', alt: embed.alt || '' }] : [];
+    case 'app.bsky.embed.recordWithMedia#view':
+      return embedMedia(embed.media);
+    default:
+      return [];
+  }
+}
+
+function embedQuote(embed) {
+  const record = embed?.$type === 'app.bsky.embed.recordWithMedia#view' ? embed.record?.record : embed?.$type === 'app.bsky.embed.record#view' ? embed.record : null;
+  if (!record?.value?.text) return null;
+  return { handle: record.author?.handle || '', text: record.value.text };
+}
+
+function embedLinks(embed) {
+  if (embed?.$type === 'app.bsky.embed.external#view') return embed.external?.uri ? [embed.external.uri] : [];
+  if (embed?.$type === 'app.bsky.embed.recordWithMedia#view') return embedLinks(embed.media);
+  return [];
+}
+
+// Post text shortens long links; the facets keep the full URL.
+function facetLinks(facets) {
+  return (facets || [])
+    .flatMap((facet) => facet.features || [])
+    .filter((feature) => feature.$type === 'app.bsky.richtext.facet#link' && feature.uri)
+    .map((feature) => feature.uri);
+}
@@ -0,0 +1,123 @@
+/**
+ * Bundled source adapters, in match order. The last two take any http(s)
+ * URL: pages are read as articles, anything else (a direct file link, a page
+ * with no text) goes to gallery-dl.
+ */
+
+import { TWITTER_HOSTS } from '../constants.js';
+import { collectTextFromRedditUrl } from '../text/reddit.js';
+import { collectTextFromFxApi } from '../text/fxApi.js';
+import { fetchTwitterThread } from '../text/twitterThread.js';
+import { dumpTextFallback, metadataTextFallback } from './galleryDl.js';
+import { bluesky } from './bluesky.js';
+import { mastodon } from './mastodon.js';
+import { threads } from './threads.js';
+
+const isHttp = (url) => url.protocol === 'http:' || url.protocol === 'https:';
+const TIKTOK_HOSTS = ['tiktok.com', 'www.tiktok.com', 'm.tiktok.com', 'vm.tiktok.com', 'vt.tiktok.com'];
+// Short vertical videos: the text burned into the picture is often the whole point.
+const isShortVideo = (url) => TIKTOK_HOSTS.includes(url.hostname.toLowerCase()) || /^\/(reels?|shorts)\//.test(url.pathname);
+
+export const BUILTIN_SOURCES = [
+  {
+    name: 'twitter',
+    hosts: TWITTER_HOSTS,
+    async fetch(url, ctx) {
+      const threadItems = [];
+      if (ctx.flags.thread) {
+        const threadItem = await fetchTwitterThread(url, { debug: ctx.debug, HumanError: ctx.HumanError });
+        if (threadItem) threadItems.push(threadItem);
+      }
+      const download = await ctx.fetchers.galleryDl(url);
+      return { ...download, items: [...threadItems, ...download.items] };
+    },
+    textFallbacks: [
+      metadataTextFallback,
+      dumpTextFallback,
+      async (url) => {
+        const item = await collectTextFromFxApi(url);
+        return item ? [item] : [];
+      }
+    ]
+  },
+  {
+    name: 'reddit',
+    hosts: ['reddit.com', 'www.reddit.com', 'old.reddit.com'],
+    async fetch(url, ctx) {
+      const item = await collectTextFromRedditUrl(url, ctx.config, { debug: ctx.debug, HumanError: ctx.HumanError });
+      return { baseDir: null, items: item ? [item] : [] };
+    }
+  },
+  {
+    name: 'video',
+    hosts: [
+      'youtube.com',
+      'www.youtube.com',
+      'm.youtube.com',
+      'youtu.be',
+      'instagram.com',
+      'www.instagram.com',
+      'instagr.am',
+      ...TIKTOK_HOSTS,
+      'vimeo.com',
+      'www.vimeo.com',
+      'player.vimeo.com',
+      'twitch.tv',
+      'www.twitch.tv',
+      'm.twitch.tv',
+      'clips.twitch.tv',
+      'dailymotion.com',
+      'www.dailymotion.com',
+      'dai.ly',
+      'streamable.com',
+      'rumble.com',
+      'fb.watch'
+    ],
+    transcript: true,
+    fetch: (url, ctx) => ctx.fetchers.ytDlp(url, { onScreenText: isShortVideo(new URL(url)) })
+  },
+  {
+    name: 'images',
+    hosts: [
+      'imgur.com',
+      'i.imgur.com',
+      'flickr.com',
+      'www.flickr.com',
+      'pinterest.com',
+      'www.pinterest.com',
+      'pin.it',
+      'tumblr.com',
+      'www.tumblr.com',
+      'deviantart.com',
+      'www.deviantart.com',
+      'artstation.com',
+      'www.artstation.com',
+      'pixiv.net',
+      'www.pixiv.net',
+      'behance.net',
+      'www.behance.net',
+      '500px.com',
+      'danbooru.donmai.us'
+    ],
+    fetch: (url, ctx) => ctx.fetchers.galleryDl(url),
+    textFallbacks: [metadataTextFallback, dumpTextFallback]
+  },
+  bluesky,
+  threads,
+  mastodon,
+  {
+    name: 'article',
+    match: isHttp,
+    // null: unreachable, not an HTML page, or nothing readable; the next adapter tries.
+    async fetch(url, ctx) {
+      const item = await ctx.fetchers.article(url);
+      return item ? { baseDir: null, items: [item] } : null;
+    }
+  },
+  {
+    name: 'gallery-dl',
+    match: isHttp,
+    fetch: (url, ctx) => ctx.fetchers.galleryDl(url),
+    textFallbacks: [metadataTextFallback, dumpTextFallback]
+  }
+];
@@ -0,0 +1,38 @@
+/**
+ * gallery-dl fetch strategy (image hosts, Twitter/X) and the text fallbacks
+ * for posts without media: the metadata it wrote, its --dump-json output.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { collectMedia } from '../files.js';
+import { runExternalCommand } from '../../system/exec.js';
+import { collectTextFromMetadata } from '../text/metadata.js';
+import { collectTextFromDump } from '../text/dump.js';
+
+export async function downloadWithGalleryDl(url, downloadRoot, { debug, HumanError }) {
+  await fs.mkdir(downloadRoot, { recursive: true });
+  const runDir = await fs.mkdtemp(path.join(downloadRoot, 'run-'));
+
+  if (debug) debug('Downloading with gallery-dl:', url);
+
+  try {
+    await runExternalCommand('gallery-dl', ['--quiet', '--write-info-json', '--write-metadata', '-d', runDir, url], { debug });
+  } catch (error) {
+    throw new HumanError('Could not download that content.', {
+      tip: 'Check that the URL is public and gallery-dl is installed.',
+      technical: error.message
+    });
+  }
+
+  const items = await collectMedia(runDir, { recursive: true });
+  return { baseDir: runDir, items };
+}
+
+export function metadataTextFallback(url, { baseDir }) {
+  return baseDir ? collectTextFromMetadata(baseDir) : [];
+}
+
+export function dumpTextFallback(url) {
+  return collectTextFromDump(url);
+}
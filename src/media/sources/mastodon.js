@@ -0,0 +1,125 @@
+/**
+ * Mastodon (and API-compatible) posts on any instance, through the public
+ * status and context endpoints: text, content warning, poll, attachments and
+ * link card; with --thread, the author's whole thread.
+ *
+ * Matches by URL shape, so a non-Mastodon site with the same paths gets null
+ * back and is read as an article instead.
+ */
+
+import { decodeEntities, htmlToText } from '../text/html.js';
+import { FETCH_TIMEOUT_MS, USER_AGENT, postsToItems } from './posts.js';
+
+const STATUS_PATHS = [/^\/@[^/]+\/(\d+)\/?$/, /^\/web\/@[^/]+\/(\d+)\/?$/, /^\/web\/statuses\/(\d+)\/?$/, /^\/users\/[^/]+\/statuses\/(\d+)\/?$/];
+const MEDIA_KINDS = { image: 'image', gifv: 'video', video: 'video', audio: 'audio' };
+
+export const mastodon = {
+  name: 'mastodon',
+  match: (url) => /^https?:$/.test(url.protocol) && Boolean(statusId(url)),
+  async fetch(url, ctx) {
+    const parsed = new URL(url);
+    const apiUrl = `${parsed.origin}/api/v1/statuses/${statusId(parsed)}`;
+    const found = await getJson(apiUrl, ctx);
+    if (!found?.id || !found.account) {
+      if (ctx.debug) ctx.debug('Not a Mastodon status:', url);
+      return null;
+    }
+
+    const status = found.reblog || found;
+    let statuses = [status];
+    if (ctx.flags.thread) {
+      const context = await getJson(`${parsed.origin}/api/v1/statuses/${status.id}/context`, ctx);
+      if (context) statuses = authorThread(status, context);
+      else if (ctx.debug) ctx.debug('Mastodon context unavailable:', url);
+    }
+
+    if (ctx.debug) ctx.debug('Mastodon posts:', statuses.length);
+    const posts = statuses.map((entry) => toPost(entry, parsed.hostname));
+    return postsToItems(posts, { url, site: 'Mastodon', downloadRoot: ctx.downloadRoot, debug: ctx.debug });
+  }
+};
+
+function statusId(url) {
+  for (const pattern of STATUS_PATHS) {
+    const match = url.pathname.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// null for anything that isn't a JSON answer (another kind of site, a private post).
+async function getJson(apiUrl, { debug, HumanError }) {
+  if (debug) debug('Mastodon API:', apiUrl);
+  let response;
+  try {
+    response = await fetch(apiUrl, {
+      headers: { accept: 'application/json', 'user-agent': USER_AGENT },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new HumanError('Could not reach that server.', {
+      tip: 'Check the URL and your connection.',
+      technical: error.message
+    });
+  }
+
+  if (!response.ok || !/json/i.test(response.headers.get('content-type') || '')) {
+    if (debug) debug('Mastodon API answered', response.status, apiUrl);
+    await response.body?.cancel().catch(() => {});
+    return null;
+  }
+  return response.json().catch(() => null);
+}
+
+// Same-author ancestors above the status, then the chain of the author's own replies.
+function authorThread(status, { ancestors = [], descendants = [] }) {
+  const author = status.account.id;
+  const byId = new Map(ancestors.map((entry) => [entry.id, entry]));
+  const before = [];
+  for (let parent = byId.get(status.in_reply_to_id); parent?.account?.id === author; parent = byId.get(parent.in_reply_to_id)) {
+    before.unshift(parent);
+  }
+
+  const after = [];
+  for (let current = status; ; ) {
+    const next = descendants.find((entry) => entry.in_reply_to_id === current.id && entry.account?.id === author);
+    if (!next) break;
+    after.push(next);
+    current = next;
+  }
+  return [...before, status, ...after];
+}
+
+function toPost(status, hostname) {
+  const acct = status.account.acct || status.account.username;
+  const quoted = status.quote?.quoted_status;
+  return {
+    handle: acct.includes('@') ? acct : `${acct}@${hostname}`,
+    name: status.account.display_name || '',
+    text: [status.spoiler_text ? `CW: ${status.spoiler_text}` : '', htmlToText(status.content), formatPoll(status.poll)].filter(Boolean).join('\n\n'),
+    date: status.created_at || '',
+    likes: status.favourites_count ?? null,
+    url: status.url || status.uri,
+    quote: quoted?.account ? { handle: quoted.account.acct, text: htmlToText(quoted.content) } : null,
+    media: (status.media_attachments || [])
+      .filter((attachment) => MEDIA_KINDS[attachment.type] && (attachment.url || attachment.remote_url))
+      .map((attachment) => ({ url: attachment.url || attachment.remote_url, kind: MEDIA_KINDS[attachment.type], alt: attachment.description || '' })),
+    links: [...contentLinks(status.content), ...(status.card?.url ? [status.card.url] : [])]
+  };
+}
+
+function formatPoll(poll) {
+  if (!poll?.options?.length) return '';
+  return `Encuesta:\n${poll.options.map((option) => `• ${option.title} (${option.votes_count ?? '?'} votos)`).join('\n')}`;
+}
+
+// Links in the post body, minus @mentions and #hashtags.
+function contentLinks(html) {
+  const links = [];
+  for (const [tag] of String(html || '').matchAll(/<a\b[^>]*>/gi)) {
+    if (/\bclass\s*=\s*["'][^"']*\b(mention|hashtag)\b/i.test(tag)) continue;
+    const href = tag.match(/\shref\s*=\s*["']([^"']+)["']/i)?.[1];
+    if (href && /^https?:/i.test(href)) links.push(decodeEntities(href));
+  }
+  return links;
+}
@@ -0,0 +1,130 @@
+/**
+ * Shared by the social-post adapters (Bluesky, Mastodon, Threads): a post,
+ * or an author's thread, becomes one text item plus its images and videos.
+ * Each media file gets a `<file>.json` with the post it came from, the same
+ * way gallery-dl leaves metadata next to what it downloads.
+ *
+ * A post is `{ handle, name, text, date, likes, url, quote, media, links }`,
+ * with `media` as `[{ url, kind: 'image' | 'video' | 'audio', alt }]` and
+ * `quote` as `{ handle, text }` or null.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { getMediaType } from '../files.js';
+import { runExternalCommand } from '../../system/exec.js';
+
+export const USER_AGENT = 'Mozilla/5.0 (compatible; twx-cli)';
+export const FETCH_TIMEOUT_MS = 30000;
+const MEDIA_TIMEOUT_MS = 120000;
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'image/avif': '.avif',
+  'image/heic': '.heic',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/quicktime': '.mov',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/ogg': '.ogg',
+  'audio/wav': '.wav'
+};
+const DEFAULT_EXTENSIONS = { image: '.jpg', video: '.mp4', audio: '.mp3' };
+
+/**
+ * @param {object[]} posts  One post, or the author's thread in order.
+ * @returns {Promise<{ baseDir: string | null, items: object[] }>}
+ */
+export async function postsToItems(posts, { url, site, downloadRoot, debug }) {
+  const [first] = posts;
+  const thread = posts.length > 1;
+  const textItem = {
+    path: `${url}#${thread ? 'thread' : 'post'}`,
+    type: 'text',
+    inlineText: thread ? formatThread(posts) : formatPost(first),
+    meta: { author: authorLabel(first), date: dayOf(first.date), site_name: site, url },
+    links: [...new Set(posts.flatMap((post) => post.links || []))]
+  };
+
+  const media = posts.flatMap((post) => (post.media || []).map((entry) => ({ ...entry, post })));
+  if (!media.length) return { baseDir: null, items: [textItem] };
+
+  await fs.mkdir(downloadRoot, { recursive: true });
+  const runDir = await fs.mkdtemp(path.join(downloadRoot, `${site.replace(/\W+/g, '-')}-`));
+  const items = [textItem];
+  for (const [index, entry] of media.entries()) {
+    const base = path.join(runDir, `${slug(entry.post.handle)}-${String(index + 1).padStart(2, '0')}`);
+    try {
+      const filePath = await downloadMedia(entry, base, { debug });
+      const type = getMediaType(filePath);
+      if (!type) continue;
+      const meta = {
+        text: entry.post.text,
+        author: authorLabel(entry.post),
+        date: dayOf(entry.post.date),
+        url: entry.post.url,
+        site_name: site,
+        description: entry.alt || ''
+      };
+      await fs.writeFile(`${filePath}.json`, JSON.stringify(meta, null, 2));
+      items.push({ path: filePath, type });
+    } catch (error) {
+      // One missing image shouldn't sink the post.
+      if (debug) debug('Post media failed:', entry.url, error.message);
+    }
+  }
+  return { baseDir: runDir, items };
+}
+
+function formatThread(posts) {
+  const parts = posts.map((post, idx) => `Post ${idx + 1}/${posts.length} ${formatPost(post)}`);
+  return `HILO COMPLETO (${posts.length} posts)\n\n${parts.join('\n\n---\n\n')}`;
+}
+
+function formatPost(post) {
+  const lines = [`${authorLabel(post)}:`];
+  if (post.text) lines.push(post.text);
+  if (post.quote?.text) lines.push(`Cita de @${post.quote.handle}:\n${post.quote.text}`);
+  if (post.likes != null) lines.push(`❤️ ${post.likes} likes`);
+  return lines.join('\n');
+}
+
+function authorLabel(post) {
+  return post.name ? `@${post.handle} (${post.name})` : `@${post.handle}`;
+}
+
+// HLS playlists (Bluesky video) need ffmpeg; everything else is a plain file.
+async function downloadMedia(entry, base, { debug }) {
+  if (/\.m3u8(\?|$)/i.test(entry.url)) {
+    const filePath = `${base}.mp4`;
+    await runExternalCommand('ffmpeg', ['-loglevel', 'error', '-y', '-i', entry.url, '-c', 'copy', filePath], { debug });
+    return filePath;
+  }
+
+  const response = await fetch(entry.url, {
+    headers: { 'user-agent': USER_AGENT },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(MEDIA_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const urlExtension = path.extname(new URL(entry.url).pathname).toLowerCase();
+  const extension =
+    CONTENT_TYPE_EXTENSIONS[contentType] || (getMediaType(`x${urlExtension}`) ? urlExtension : DEFAULT_EXTENSIONS[entry.kind] || '.bin');
+  const filePath = `${base}${extension}`;
+  await fs.writeFile(filePath, Buffer.from(await response.arrayBuffer()));
+  return filePath;
+}
+
+function dayOf(date) {
+  return String(date || '').match(/^\d{4}-\d{2}-\d{2}/)?.[0] || '';
+}
+
+function slug(value) {
+  return String(value || 'post').replace(/[^\w.-]+/g, '_').slice(0, 40);
+}
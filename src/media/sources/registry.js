@@ -0,0 +1,119 @@
+/**
+ * Source adapter registry: bundled adapters + user adapters from
+ * ~/.config/twx/sources/*.js (or .mjs).
+ *
+ * An adapter is `{ name, hosts?, match?, fetch, textFallbacks?, transcript? }`:
+ * - `hosts`: hostnames it serves (exact, lowercase); `match(url: URL)`: anything else
+ * - `fetch(url, ctx)` → `{ baseDir, items }`, or null to hand the URL to the next adapter
+ * - `textFallbacks`: `[(url, { ...ctx, baseDir }) → items]`, tried in order when
+ *   fetch found no media (text-only posts)
+ * - `transcript`: `twx <url> transcript` can pull its audio with yt-dlp
+ *
+ * `ctx` is `{ config, flags: { thread, whisper, frames }, downloadRoot, debug,
+ * HumanError, fetchers }`; `fetchers.galleryDl(url)`, `fetchers.ytDlp(url,
+ * { onScreenText })` and `fetchers.article(url)` are the bundled strategies,
+ * ready to reuse.
+ *
+ * A user file default-exports one adapter (or an array). User adapters are
+ * tried first; one with a bundled adapter's name replaces it.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { SOURCES_DIR } from '../../config/paths.js';
+import { BUILTIN_SOURCES } from './builtins.js';
+
+let cachedSources = null;
+
+export async function loadSourceRegistry({ force = false, dir = SOURCES_DIR, debug = null } = {}) {
+  if (cachedSources && !force) return cachedSources;
+
+  const builtins = BUILTIN_SOURCES.map((adapter) => ({ ...adapter, source: 'builtin' }));
+  const users = await readUserSources(dir, { debug });
+  const overridden = new Set(users.map((adapter) => adapter.name));
+
+  cachedSources = [...users.map((adapter) => ({ ...adapter, source: 'user' })), ...builtins.filter((adapter) => !overridden.has(adapter.name))];
+  return cachedSources;
+}
+
+export function getSources() {
+  return cachedSources || BUILTIN_SOURCES.map((adapter) => ({ ...adapter, source: 'builtin' }));
+}
+
+/**
+ * Adapters that take this URL, in the order they should be tried.
+ * @param {URL} url
+ */
+export function matchingSources(url) {
+  const hostname = url.hostname.toLowerCase();
+  return getSources().filter((adapter) => hasHost(adapter.hosts, hostname) || Boolean(adapter.match?.(url)));
+}
+
+export function findSource(url) {
+  return matchingSources(url)[0] || null;
+}
+
+/**
+ * Runs the matching adapters until one returns something, then its text
+ * fallbacks if it found no media.
+ * @returns {Promise<{ baseDir: string | null, items: object[] }>}
+ */
+export async function fetchFromSources(url, ctx) {
+  const parsed = new URL(url);
+  for (const adapter of matchingSources(parsed)) {
+    if (ctx.debug) ctx.debug(`Source adapter: ${adapter.name}`);
+    const result = await adapter.fetch(url, ctx);
+    if (!result) continue;
+
+    const items = [...(result.items || [])];
+    if (!items.some((item) => item.type !== 'text')) {
+      for (const fallback of adapter.textFallbacks || []) {
+        const textItems = await fallback(url, { ...ctx, baseDir: result.baseDir || null });
+        if (textItems?.length) {
+          items.push(...textItems);
+          break;
+        }
+      }
+    }
+    return { baseDir: result.baseDir || null, items };
+  }
+
+  throw new ctx.HumanError(`No source adapter for ${parsed.hostname || url}.`, {
+    tip: 'Use an http(s) URL, or add an adapter in ~/.config/twx/sources/.'
+  });
+}
+
+function hasHost(hosts, hostname) {
+  if (!hosts) return false;
+  return typeof hosts.has === 'function' ? hosts.has(hostname) : hosts.includes(hostname);
+}
+
+async function readUserSources(dir, { debug }) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const adapters = [];
+  for (const name of entries.sort()) {
+    if (!['.js', '.mjs'].includes(path.extname(name))) continue;
+    try {
+      const mod = await import(pathToFileURL(path.join(dir, name)).href);
+      for (const adapter of [mod.default ?? mod.adapter].flat()) {
+        if (isValidAdapter(adapter)) adapters.push({ ...adapter, name: String(adapter.name).toLowerCase(), file: name });
+        else if (debug) debug(`Source adapter ${name}: needs name, fetch() and hosts or match()`);
+      }
+    } catch (error) {
+      // A broken adapter shouldn't take the bundled ones down with it.
+      if (debug) debug(`Source adapter ${name} failed to load:`, error.message);
+    }
+  }
+  return adapters;
+}
+
+function isValidAdapter(adapter) {
+  return Boolean(adapter?.name && typeof adapter.fetch === 'function' && (adapter.hosts || typeof adapter.match === 'function'));
+}
@@ -0,0 +1,118 @@
+/**
+ * Threads posts. There is no public API: the post page embeds its data as
+ * JSON (`thread_items`: the post and, after it, the author's continuation),
+ * which gives text, images, videos and link previews; with --thread the
+ * whole continuation. When Meta changes that markup, the preview tags still
+ * give the text.
+ */
+
+import { extractArticle } from '../text/article.js';
+import { FETCH_TIMEOUT_MS, USER_AGENT, postsToItems } from './posts.js';
+
+const POST_PATH = /^\/@([^/]+)\/post\/([\w-]+)\/?$/;
+const JSON_SCRIPTS = /<script\b[^>]*type\s*=\s*["']application\/json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+export const threads = {
+  name: 'threads',
+  hosts: ['threads.net', 'www.threads.net', 'threads.com', 'www.threads.com'],
+  async fetch(url, ctx) {
+    const match = new URL(url).pathname.match(POST_PATH);
+    if (!match) return null;
+
+    const [, username, code] = match;
+    const html = await fetchPage(url, ctx);
+    const items = findThreadItems(html, code);
+
+    let posts;
+    if (items) {
+      const target = items.find((post) => post.code === code);
+      posts = ctx.flags.thread ? items.filter((post) => post.user?.username === target.user?.username) : [target];
+      posts = posts.map(toPost);
+    } else {
+      if (ctx.debug) ctx.debug('Threads: no embedded post data, using the preview tags');
+      const preview = extractArticle(html, url);
+      if (!preview.description) return null;
+      posts = [{ handle: username, name: '', text: preview.description, date: preview.date, likes: null, url, quote: null, media: [], links: [] }];
+    }
+
+    if (ctx.debug) ctx.debug('Threads posts:', posts.length);
+    return postsToItems(posts, { url, site: 'Threads', downloadRoot: ctx.downloadRoot, debug: ctx.debug });
+  }
+};
+
+async function fetchPage(url, { HumanError }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { 'user-agent': USER_AGENT, accept: 'text/html' },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new HumanError('Could not reach Threads.', {
+      tip: 'Check your connection and try again.',
+      technical: error.message
+    });
+  }
+  if (!response.ok) {
+    throw new HumanError(`Threads answered ${response.status}.`, {
+      tip: 'Check that the post is public and the URL is complete.',
+      technical: `${response.status} ${response.statusText}: ${url}`
+    });
+  }
+  return response.text();
+}
+
+// The `thread_items` list that holds the post, flattened to its posts.
+function findThreadItems(html, code) {
+  for (const [, raw] of html.matchAll(JSON_SCRIPTS)) {
+    if (!raw.includes('thread_items') || !raw.includes(code)) continue;
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      continue;
+    }
+    const found = searchThreadItems(data, code);
+    if (found) return found;
+  }
+  return null;
+}
+
+function searchThreadItems(value, code) {
+  if (!value || typeof value !== 'object') return null;
+  if (Array.isArray(value.thread_items)) {
+    const posts = value.thread_items.map((item) => item?.post).filter(Boolean);
+    if (posts.some((post) => post.code === code)) return posts;
+  }
+  for (const child of Object.values(value)) {
+    const found = searchThreadItems(child, code);
+    if (found) return found;
+  }
+  return null;
+}
+
+function toPost(post) {
+  const info = post.text_post_app_info || {};
+  const quoted = info.share_info?.quoted_post;
+  return {
+    handle: post.user.username,
+    name: post.user.full_name || '',
+    text: post.caption?.text || '',
+    date: post.taken_at ? new Date(post.taken_at * 1000).toISOString() : '',
+    likes: post.like_count ?? null,
+    url: `https://www.threads.net/@${post.user.username}/post/${post.code}`,
+    quote: quoted?.user ? { handle: quoted.user.username, text: quoted.caption?.text || '' } : null,
+    media: [post, ...(post.carousel_media || [])].flatMap(postMedia),
+    links: info.link_preview_attachment?.url ? [info.link_preview_attachment.url] : []
+  };
+}
+
+// A carousel's parent has no media of its own; each slide has a video or an image.
+function postMedia(entry) {
+  if (entry.carousel_media?.length) return [];
+  const video = entry.video_versions?.[0]?.url;
+  if (video) return [{ url: video, kind: 'video', alt: '' }];
+  const candidates = [...(entry.image_versions2?.candidates || [])].sort((a, b) => (b.width || 0) - (a.width || 0));
+  return candidates[0]?.url ? [{ url: candidates[0].url, kind: 'image', alt: entry.accessibility_caption || '' }] : [];
+}
@@ -0,0 +1,117 @@
+/**
+ * yt-dlp fetch strategy (video sites): captions when there are some, else
+ * the audio (or the video, for --frames) plus its info JSON. Hashtags in the
+ * caption (TikTok, Reels, Shorts) are added to the info JSON's `tags`, which
+ * the context step lists. With `onScreenText`, the video is kept and its
+ * burned-in text (keyframe OCR) goes into the info JSON as `on_screen_text`.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { VIDEO_EXTENSIONS } from '../constants.js';
+import { collectMedia } from '../files.js';
+import { extractOnScreenText } from '../frames.js';
+import { formatTimedLines } from '../../text/timestamps.js';
+import { runExternalCommand } from '../../system/exec.js';
+import { readJSONIfExists } from '../../system/fs.js';
+import { downloadSubtitles } from '../subtitles.js';
+
+const HASHTAG = /(?:^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu;
+
+export async function downloadWithYtDlp(url, downloadRoot, { debug, HumanError, subtitles = null, keepVideo = false, onScreenText = null }) {
+  await fs.mkdir(downloadRoot, { recursive: true });
+  const runDir = await fs.mkdtemp(path.join(downloadRoot, 'yt-'));
+
+  // Captions first: when they exist there is nothing to transcribe, and unless
+  // the picture is needed (--frames) nothing to download either.
+  let captions = null;
+  let transcriptSource = null;
+  if (subtitles) {
+    const subsDir = path.join(runDir, 'subs');
+    await fs.mkdir(subsDir, { recursive: true });
+    captions = await downloadSubtitles(url, subsDir, { languages: subtitles.languages, debug });
+    if (!captions) {
+      await fs.rm(subsDir, { recursive: true, force: true });
+    } else {
+      transcriptSource = `subtitles:${captions.lang}${captions.kind === 'auto' ? ':auto' : ''}`;
+      if (!keepVideo) {
+        await tagHashtags(subsDir);
+        return { baseDir: runDir, items: [{ path: captions.path, type: 'video', transcriptSource }] };
+      }
+    }
+  }
+
+  if (debug) debug('Downloading with yt-dlp:', url);
+
+  try {
+    await runExternalCommand(
+      'yt-dlp',
+      [
+        '-q',
+        '-P',
+        runDir,
+        '-o',
+        '%(title)s.%(ext)s',
+        ...(keepVideo
+          ? ['-f', 'bv*[height<=720]+ba/b[height<=720]/b', '--merge-output-format', 'mp4']
+          : ['-f', 'bestaudio/best', '-x', '--audio-format', 'mp3']),
+        '--no-progress',
+        '--write-info-json',
+        url
+      ],
+      { debug }
+    );
+  } catch (error) {
+    throw new HumanError('Could not download that video.', {
+      tip: 'Check that the URL is valid and yt-dlp is installed.',
+      technical: error.message
+    });
+  }
+
+  const items = await collectMedia(runDir, { recursive: true });
+  for (const dir of new Set(items.map((item) => path.dirname(item.path)))) await tagHashtags(dir);
+  if (onScreenText) {
+    for (const item of items) {
+      if (item.type === 'video' && VIDEO_EXTENSIONS.has(path.extname(item.path).toLowerCase())) {
+        await writeOnScreenText(item.path, onScreenText.config, { debug, HumanError });
+      }
+    }
+  }
+  if (captions) {
+    for (const item of items) {
+      if (item.type === 'video') Object.assign(item, { transcriptSource, subtitlePath: captions.path });
+    }
+  }
+  return { baseDir: runDir, items };
+}
+
+async function tagHashtags(dir) {
+  for (const name of await fs.readdir(dir).catch(() => [])) {
+    if (!name.endsWith('.info.json')) continue;
+    const filePath = path.join(dir, name);
+    const info = await readJSONIfExists(filePath);
+    if (!info) continue;
+
+    const tags = Array.isArray(info.tags) ? info.tags : [];
+    const hashtags = [...`${info.title || ''}\n${info.description || ''}`.matchAll(HASHTAG)].map((match) => match[1]);
+    const merged = [...new Set([...tags, ...hashtags])];
+    if (merged.length > tags.length) await fs.writeFile(filePath, JSON.stringify({ ...info, tags: merged }));
+  }
+}
+
+// Best effort: without ffmpeg or OCR the video is still transcribed as usual.
+async function writeOnScreenText(videoPath, config, { debug, HumanError }) {
+  let frames;
+  try {
+    frames = await extractOnScreenText({ filePath: videoPath, config, debug, HumanError });
+  } catch (error) {
+    if (debug) debug('On-screen text skipped:', error.message);
+    return;
+  }
+  if (!frames.length) return;
+
+  const dir = path.dirname(videoPath);
+  const name = (await fs.readdir(dir).catch(() => [])).find((entry) => entry.endsWith('.info.json'));
+  const info = name ? await readJSONIfExists(path.join(dir, name)) : null;
+  if (info) await fs.writeFile(path.join(dir, name), JSON.stringify({ ...info, on_screen_text: formatTimedLines(frames) }));
+}
@@ -0,0 +1,50 @@
+/**
+ * OpenAI transcription (`transcribeModel`, default whisper-1), one chunk per
+ * request with retries on rate limits and network errors.
+ */
+
+import { createReadStream } from 'node:fs';
+
+export const name = 'openai';
+
+export function modelLabel(config) {
+  return config.transcribeModel || 'whisper-1';
+}
+
+export async function transcribeChunk(segmentPath, { openaiClient, config, language, debug, label }) {
+  const model = modelLabel(config);
+  const retries = Math.max(0, Number(config.whisperRetries ?? 3) || 0);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      // A fresh stream per attempt: a consumed stream can't be re-sent.
+      // Only whisper-* models return segment timings (verbose_json).
+      const timed = model.startsWith('whisper');
+      const response = await openaiClient.audio.transcriptions.create({
+        model,
+        file: createReadStream(segmentPath),
+        ...(language ? { language } : {}),
+        ...(timed ? { response_format: 'verbose_json', timestamp_granularities: ['segment'] } : { response_format: 'text' })
+      });
+      if (typeof response === 'string') return { text: response, segments: [] };
+      return {
+        text: response.text || '',
+        segments: (response.segments || []).map((s) => ({ start: s.start, end: s.end, text: s.text })),
+        duration: response.duration ?? null
+      };
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) throw error;
+      const delayMs = 1000 * 2 ** attempt;
+      if (debug) debug(`Whisper chunk ${label} failed (${error.message}), retry ${attempt + 1}/${retries} in ${delayMs}ms`);
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+function isRetryableError(error) {
+  const status = error?.status;
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  if (status) return false;
+  // No HTTP status: network reset, timeout, DNS hiccup.
+  return true;
+}
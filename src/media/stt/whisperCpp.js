@@ -0,0 +1,53 @@
+/**
+ * Local transcription with a whisper.cpp-compatible CLI (`whisper-cli` by
+ * default, `whisperCppBinary` to change it) and a ggml model on disk
+ * (`whisperCppModel`). Audio never leaves the machine.
+ *
+ * Input chunks are 16 kHz mono 16-bit WAV, which is what whisper.cpp reads.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { runExternalCommand } from '../../system/exec.js';
+
+export const name = 'local';
+
+export const SAMPLE_RATE = 16000;
+const WAV_HEADER_BYTES = 44;
+
+export function isAvailable(config) {
+  return Boolean(config.whisperCppModel);
+}
+
+export function modelLabel(config) {
+  return `whisper.cpp:${path.basename(String(config.whisperCppModel || 'model'))}`;
+}
+
+export async function transcribeChunk(segmentPath, { config, language, debug, HumanError }) {
+  // whisper.cpp writes `<prefix>.json` next to the chunk.
+  const prefix = segmentPath.replace(/\.wav$/i, '');
+  const binary = config.whisperCppBinary || 'whisper-cli';
+  const args = ['-m', config.whisperCppModel, '-f', segmentPath, '-l', language || 'auto', '-oj', '-of', prefix, '-np'];
+  try {
+    await runExternalCommand(binary, args, { debug });
+  } catch (error) {
+    throw new HumanError('Local transcription failed.', {
+      tip: `Check that ${binary} is installed (brew install whisper-cpp) and whisperCppModel points to a ggml model.`,
+      technical: error.message
+    });
+  }
+
+  const output = JSON.parse(await fs.readFile(`${prefix}.json`, 'utf8'));
+  const segments = (output.transcription || []).map((s) => ({
+    start: (s.offsets?.from ?? 0) / 1000,
+    end: (s.offsets?.to ?? 0) / 1000,
+    text: String(s.text || '').trim()
+  }));
+  const { size } = await fs.stat(segmentPath);
+
+  return {
+    text: segments.map((s) => s.text).filter(Boolean).join(' '),
+    segments,
+    duration: Math.max(0, size - WAV_HEADER_BYTES) / (SAMPLE_RATE * 2)
+  };
+}
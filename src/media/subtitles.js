@@ -0,0 +1,117 @@
+/**
+ * Native captions via yt-dlp (no audio download, no Whisper).
+ *
+ * Preference: human subtitles in the configured languages (in order), then
+ * auto-captions in the video's own language. Auto-translated captions are
+ * skipped: Whisper does better than a machine translation of a transcript.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { runExternalCommand } from '../system/exec.js';
+import { readJSONIfExists } from '../system/fs.js';
+import { DEFAULTS } from '../config/defaults.js';
+import { parseSubtitleCues, subtitlesToText } from './text/subtitles.js';
+
+export function normalizeSubtitleLanguages(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  const langs = list.map((l) => String(l).trim().toLowerCase()).filter(Boolean);
+  return langs.length ? langs : DEFAULTS.subtitleLanguages;
+}
+
+/**
+ * @returns {Promise<{ path: string, text: string, cues: Array, lang: string, kind: 'manual'|'auto' } | null>}
+ */
+export async function downloadSubtitles(url, runDir, { languages, debug } = {}) {
+  const langs = normalizeSubtitleLanguages(languages);
+
+  try {
+    await runExternalCommand(
+      'yt-dlp',
+      [
+        '-q',
+        '--skip-download',
+        '--write-subs',
+        '--write-auto-subs',
+        '--sub-langs',
+        langs.map((l) => `${l}.*`).join(','),
+        '--sub-format',
+        'vtt/srt/best',
+        '--write-info-json',
+        '-P',
+        runDir,
+        '-o',
+        '%(title)s.%(ext)s',
+        '--no-progress',
+        url
+      ],
+      { debug }
+    );
+  } catch (error) {
+    if (debug) debug('Subtitles unavailable:', error.message);
+    return null;
+  }
+
+  const entries = await fs.readdir(runDir).catch(() => []);
+  const infoName = entries.find((name) => name.endsWith('.info.json'));
+  const info = infoName ? await readJSONIfExists(path.join(runDir, infoName)) : null;
+
+  const candidates = entries
+    .map((name) => {
+      const match = name.match(/\.([A-Za-z0-9_-]+)\.(vtt|srt)$/);
+      return match ? { name, lang: match[1].toLowerCase() } : null;
+    })
+    .filter(Boolean);
+
+  const picked = pickSubtitle(candidates, { langs, info });
+  if (!picked) return null;
+
+  const filePath = path.join(runDir, picked.name);
+  const cues = parseSubtitleCues(await fs.readFile(filePath, 'utf8'));
+  const text = subtitlesToText(cues);
+  if (!text) return null;
+
+  if (debug) debug('Using subtitles:', picked.lang, picked.kind, `${text.length} chars`);
+  return { path: filePath, text, cues, lang: picked.lang, kind: picked.kind };
+}
+
+/**
+ * Transcript of a downloaded caption file as `{ text, segments }` (same shape
+ * as Whisper's), honoring `--clip` by keeping only the cues that overlap it.
+ */
+export async function readSubtitleTranscript(filePath, { clipRange = null } = {}) {
+  const clipped = clipRange && (clipRange.start != null || clipRange.end != null);
+  let cues = parseSubtitleCues(await fs.readFile(filePath, 'utf8'));
+
+  if (clipped) {
+    const start = clipRange.start ?? 0;
+    const end = clipRange.end ?? Infinity;
+    cues = cues.filter((cue) => cue.end > start && cue.start < end);
+  }
+
+  return { text: subtitlesToText(cues), segments: cues };
+}
+
+function pickSubtitle(candidates, { langs, info }) {
+  const manual = new Set(Object.keys(info?.subtitles || {}).map((l) => l.toLowerCase()));
+  const videoLang = baseLang(info?.language);
+  const matches = (lang, wanted) => lang === wanted || lang.startsWith(`${wanted}-`);
+
+  for (const wanted of langs) {
+    const hit = candidates.find((c) => matches(c.lang, wanted) && manual.has(c.lang));
+    if (hit) return { ...hit, kind: 'manual' };
+  }
+
+  for (const wanted of langs) {
+    const autos = candidates.filter((c) => matches(c.lang, wanted) && !manual.has(c.lang));
+    // Without a known language we can't tell originals from translations; `-orig` is explicit.
+    const original = autos.find((c) => c.lang.endsWith('-orig')) || (videoLang && baseLang(wanted) === videoLang ? autos[0] : null);
+    if (original) return { ...original, kind: 'auto' };
+  }
+
+  return null;
+}
+
+function baseLang(value) {
+  return typeof value === 'string' && value ? value.toLowerCase().split('-')[0] : null;
+}
@@ -0,0 +1,198 @@
+/**
+ * Web articles (blogs, newsletters, news sites) → a text item.
+ *
+ * Readability-style, without a DOM: metadata from <meta> tags and JSON-LD,
+ * body from the largest <article> (or <main>, or <body>) with navigation,
+ * headers, footers and forms removed, keeping only paragraph-like blocks.
+ */
+
+import { decodeEntities, extractHtmlTitle, htmlToText } from './html.js';
+
+const FETCH_TIMEOUT_MS = 30000;
+const BOILERPLATE = /<(nav|header|footer|aside|form|button|select|dialog|script|style|noscript|template|svg)\b[^>]*>[\s\S]*?<\/\1>/gi;
+const CONTENT_BLOCKS = /<(p|h[1-6]|li|blockquote|pre)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+const ARTICLE_TYPES = /^(Article|NewsArticle|BlogPosting|Report|ReportageNewsArticle|OpinionNewsArticle|TechArticle|ScholarlyArticle|SocialMediaPosting)$/;
+// Below this the block scan probably missed the layout; plain HTML→text does better.
+const MIN_BODY_CHARS = 200;
+
+/**
+ * @returns {Promise<{ path: string, type: 'text', inlineText: string, meta: object, links: string[] } | null>}
+ *   null when the page can't be fetched, isn't HTML or has no readable text
+ *   (the caller can try another downloader).
+ */
+export async function collectTextFromArticle(url, { debug }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { 'user-agent': 'Mozilla/5.0 (compatible; twx-cli)', accept: 'text/html,application/xhtml+xml' },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+  } catch (error) {
+    if (debug) debug('Article fetch failed:', url, error.message);
+    return null;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || !/html|xml/i.test(contentType)) {
+    if (debug) debug(response.ok ? 'Not an HTML page:' : `Page answered ${response.status}:`, contentType, url);
+    // Don't leave a linked video or PDF streaming in the background.
+    await response.body?.cancel().catch(() => {});
+    return null;
+  }
+
+  const html = decodeBody(Buffer.from(await response.arrayBuffer()), contentType);
+  const article = extractArticle(html, response.url || url);
+  if (!article.text) {
+    if (debug) debug('No article text found:', url);
+    return null;
+  }
+  if (debug) debug('Article extracted:', { title: article.title, chars: article.text.length });
+
+  const { text, links, ...meta } = article;
+  return { path: url, type: 'text', inlineText: text, meta, links };
+}
+
+/**
+ * @returns {{ title: string, author: string, date: string, site_name: string, description: string, url: string, text: string, links: string[] }}
+ *   `links`: absolute http(s) links inside the body, for --follow-links.
+ */
+export function extractArticle(html, url = '') {
+  const source = String(html || '');
+  const metaTags = readMetaTags(source);
+  const ld = readJsonLdArticle(source);
+
+  const title = clean(ld?.headline || metaTags['og:title'] || metaTags['twitter:title'] || extractHtmlTitle(source));
+  const author = clean(ldAuthor(ld?.author) || metaTags.author || metaTags['article:author'] || metaTags['parsely-author'] || '');
+  const date = isoDate(ld?.datePublished || metaTags['article:published_time'] || metaTags.date || metaTags['dc.date'] || '');
+  const site = clean(metaTags['og:site_name'] || hostnameOf(url));
+  const description = clean(metaTags['og:description'] || metaTags.description || '');
+
+  const region = articleRegion(source);
+  let text = extractBody(region);
+  const ldBody = typeof ld?.articleBody === 'string' ? ld.articleBody.trim() : '';
+  if (ldBody.length > text.length) text = ldBody;
+
+  return { title, author, date, site_name: site, description, url, text, links: extractLinks(region, url) };
+}
+
+function articleRegion(html) {
+  const stripped = html.replace(/<!--[\s\S]*?-->/g, '').replace(BOILERPLATE, '');
+  return largestElement(stripped, 'article') || firstElement(stripped, 'main') || firstElement(stripped, 'body') || stripped;
+}
+
+function extractBody(region) {
+  const blocks = [];
+  for (const [, tag, inner] of region.matchAll(CONTENT_BLOCKS)) {
+    const text = htmlToText(inner).replace(/\s*\n\s*/g, ' ').trim();
+    if (!text) continue;
+    const name = tag.toLowerCase();
+    if (name[0] === 'h') blocks.push(`# ${text}`);
+    else if (name === 'li') {
+      // Short list items are menus and tag clouds more often than content.
+      if (text.length >= 40) blocks.push(`• ${text}`);
+    } else blocks.push(text);
+  }
+
+  const body = blocks.filter((block, i) => block !== blocks[i - 1]).join('\n\n');
+  const prose = blocks.filter((block) => block[0] !== '#').join('').length;
+  return prose >= MIN_BODY_CHARS ? body : htmlToText(region);
+}
+
+function extractLinks(region, baseUrl) {
+  const links = new Set();
+  for (const [tag] of region.matchAll(/<a\b[^>]*>/gi)) {
+    try {
+      const link = new URL(decodeEntities(attribute(tag, 'href')), baseUrl || undefined);
+      if (/^https?:$/.test(link.protocol) && link.href.split('#')[0] !== String(baseUrl).split('#')[0]) links.add(link.href);
+    } catch {
+      // relative link without a base, mailto:, javascript:
+    }
+  }
+  return [...links];
+}
+
+function largestElement(html, tag) {
+  let best = '';
+  for (const [, inner] of html.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'gi'))) {
+    if (inner.length > best.length) best = inner;
+  }
+  return best;
+}
+
+function firstElement(html, tag) {
+  const match = html.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*)<\\/${tag}>`, 'i'));
+  return match ? match[1] : '';
+}
+
+function readMetaTags(html) {
+  const tags = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = attribute(tag, 'property') || attribute(tag, 'name') || attribute(tag, 'itemprop');
+    const content = attribute(tag, 'content');
+    if (key && content && !(key.toLowerCase() in tags)) tags[key.toLowerCase()] = decodeEntities(content);
+  }
+  return tags;
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : '';
+}
+
+function readJsonLdArticle(html) {
+  for (const [, raw] of html.matchAll(/<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi)) {
+    let data;
+    try {
+      data = JSON.parse(raw.trim());
+    } catch {
+      continue;
+    }
+    const nodes = [data].flat().flatMap((node) => (Array.isArray(node?.['@graph']) ? node['@graph'] : [node]));
+    const article = nodes.find((node) => [node?.['@type']].flat().some((type) => ARTICLE_TYPES.test(String(type))));
+    if (article) return article;
+  }
+  return null;
+}
+
+function ldAuthor(author) {
+  return [author]
+    .flat()
+    .map((a) => (typeof a === 'string' ? a : a?.name))
+    .filter(Boolean)
+    .join(', ');
+}
+
+function isoDate(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : text;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+function clean(value) {
+  return decodeEntities(String(value || ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Header charset, then <meta charset>, then UTF-8.
+function decodeBody(buffer, contentType) {
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const charset =
+    contentType.match(/charset=["']?([\w-]+)/i)?.[1] ||
+    head.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1] ||
+    'utf-8';
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+}
@@ -0,0 +1,43 @@
+import { decodeEntities } from './html.js';
+
+/**
+ * DOCX → plain text: paragraphs from word/document.xml (plus footnotes when
+ * present). Headings and list items keep a marker so structure survives.
+ */
+export function docxToText(zip) {
+  const body = zip.readText('word/document.xml');
+  if (body == null) throw new Error('Not a Word document (word/document.xml missing).');
+
+  const parts = [paragraphsToText(body)];
+  const footnotes = zip.readText('word/footnotes.xml');
+  if (footnotes) {
+    const notes = paragraphsToText(footnotes);
+    if (notes) parts.push(`Notas:\n${notes}`);
+  }
+  return parts.filter(Boolean).join('\n\n').trim();
+}
+
+function paragraphsToText(xml) {
+  const paragraphs = xml.match(/<w:p\b[\s\S]*?<\/w:p>/g) || [];
+  const lines = [];
+
+  for (const paragraph of paragraphs) {
+    const text = decodeEntities(
+      paragraph
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:(br|cr)\b[^>]*\/>/g, '\n')
+        .replace(/<w:delText\b[\s\S]*?<\/w:delText>/g, '')
+        .match(/<w:t\b[^>]*>[\s\S]*?<\/w:t>|\t|\n/g)
+        ?.map((run) => run.replace(/<[^>]+>/g, ''))
+        .join('') || ''
+    ).trim();
+    if (!text) continue;
+
+    const style = paragraph.match(/<w:pStyle w:val="([^"]+)"/)?.[1] || '';
+    if (/^(heading|title|t[ií]tulo)/i.test(style)) lines.push(`\n# ${text}`);
+    else if (/<w:numPr\b/.test(paragraph)) lines.push(`• ${text}`);
+    else lines.push(text);
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
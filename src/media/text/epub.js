@@ -0,0 +1,36 @@
+import path from 'node:path';
+import { decodeEntities, htmlToText } from './html.js';
+
+/**
+ * EPUB → plain text: chapters in spine (reading) order, each through htmlToText.
+ */
+export function epubToText(zip) {
+  const container = zip.readText('META-INF/container.xml');
+  const opfPath = container?.match(/full-path="([^"]+)"/)?.[1];
+  const opf = opfPath ? zip.readText(opfPath) : null;
+  if (!opf) throw new Error('Not an EPUB (package document missing).');
+
+  const baseDir = path.posix.dirname(opfPath);
+  const manifest = new Map();
+  for (const item of opf.match(/<item\b[^>]*>/g) || []) {
+    const id = attr(item, 'id');
+    const href = attr(item, 'href');
+    if (id && href) manifest.set(id, { href, type: attr(item, 'media-type') || '' });
+  }
+
+  const title = decodeEntities(opf.match(/<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/)?.[1] || '').trim();
+  const chapters = [];
+  for (const ref of opf.match(/<itemref\b[^>]*>/g) || []) {
+    const entry = manifest.get(attr(ref, 'idref'));
+    if (!entry || !/html/.test(entry.type)) continue;
+    const chapterPath = path.posix.normalize(path.posix.join(baseDir === '.' ? '' : baseDir, decodeURIComponent(entry.href)));
+    const text = htmlToText(zip.readText(chapterPath) || '');
+    if (text) chapters.push(text);
+  }
+
+  return [title ? `# ${title}` : '', ...chapters].filter(Boolean).join('\n\n');
+}
+
+function attr(tag, name) {
+  return tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1] || null;
+}
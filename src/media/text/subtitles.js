@@ -0,0 +1,83 @@
+/**
+ * WebVTT / SRT → cues and clean text.
+ *
+ * YouTube auto-captions repeat each line while it "rolls" up the screen, so
+ * consecutive duplicate lines are collapsed.
+ */
+
+const TIMING_LINE = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+export function parseSubtitleCues(raw) {
+  const lines = String(raw || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const cues = [];
+  let current = null;
+  let skipBlock = false;
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      if (current) cues.push(current);
+      current = null;
+      skipBlock = false;
+      continue;
+    }
+    if (skipBlock) continue;
+
+    const timing = line.match(TIMING_LINE);
+    if (timing) {
+      if (current) cues.push(current);
+      current = { start: toSeconds(timing[1]), end: toSeconds(timing[2]), lines: [] };
+      continue;
+    }
+
+    if (!current) {
+      // Header, cue ids, NOTE/STYLE/REGION blocks.
+      if (/^(NOTE|STYLE|REGION)\b/.test(line)) skipBlock = true;
+      continue;
+    }
+
+    const text = cleanCueText(line);
+    if (text) current.lines.push(text);
+  }
+  if (current) cues.push(current);
+
+  const out = [];
+  let previousLine = null;
+  for (const cue of cues) {
+    const fresh = cue.lines.filter((l) => l !== previousLine);
+    if (cue.lines.length) previousLine = cue.lines[cue.lines.length - 1];
+    if (!fresh.length) continue;
+    out.push({ start: cue.start, end: cue.end, text: fresh.join(' ') });
+  }
+  return out;
+}
+
+export function subtitlesToText(cues) {
+  return cues
+    .map((cue) => cue.text)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .replace(/([.!?…])\s+/g, '$1\n')
+    .trim();
+}
+
+export function parseSubtitleText(raw) {
+  return subtitlesToText(parseSubtitleCues(raw));
+}
+
+function cleanCueText(line) {
+  return line
+    .replace(/<\d{2}:\d{2}:\d{2}[.,]\d{3}>/g, '')
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function toSeconds(stamp) {
+  const parts = stamp.replace(',', '.').split(':').map(Number);
+  return parts.reduce((acc, value) => acc * 60 + value, 0);
+}
@@ -1,34 +1,126 @@
 import fs from 'node:fs/promises';
-import { createReadStream } from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
 import { MAX_WHISPER_FILE_BYTES } from './constants.js';
 import { runExternalCommand } from '../system/exec.js';
+import { mapWithConcurrency, toConcurrency } from '../system/concurrency.js';
+import { cacheKey, clearCacheEntries, getCached, hashFile, setCached } from '../cache/store.js';
+import * as openaiStt from './stt/openai.js';
+import * as whisperCpp from './stt/whisperCpp.js';
 
+const CHECKPOINT_NAMESPACE = 'checkpoints';
+const BACKENDS = { openai: openaiStt, local: whisperCpp };
+
+/**
+ * Who transcribes, per `transcribeProvider`: `openai` (needs the client),
+ * `local` (whisper.cpp, needs `whisperCppModel`) or `auto`: OpenAI when
+ * there is a key, else local when a model is configured.
+ *
+ * @returns {'openai' | 'local' | null} null when nothing can
+ */
+export function transcriptionBackend(config, openaiClient) {
+  const choice = String(config.transcribeProvider || 'auto').toLowerCase();
+  if (choice === 'local') return whisperCpp.isAvailable(config) ? 'local' : null;
+  if (choice === 'openai') return openaiClient ? 'openai' : null;
+  if (choice !== 'auto') return null;
+  if (openaiClient) return 'openai';
+  return whisperCpp.isAvailable(config) ? 'local' : null;
+}
+
+// For cache keys and progress labels: what produced (or will produce) the text.
+export function transcriptionModelLabel(config, openaiClient) {
+  const backend = transcriptionBackend(config, openaiClient);
+  return backend ? BACKENDS[backend].modelLabel(config) : null;
+}
+
+export function missingTranscriberError(config, HumanError) {
+  const choice = String(config.transcribeProvider || 'auto').toLowerCase();
+  if (!['auto', 'openai', 'local'].includes(choice)) {
+    return new HumanError(`Unknown transcription provider "${choice}".`, { tip: 'Use "auto", "openai" or "local".' });
+  }
+  if (choice === 'local') {
+    return new HumanError('Local transcription needs a whisper.cpp model.', {
+      tip: 'Download one (e.g. ggml-base.bin) and set whisperCppModel in ~/.config/twx/config.json or WHISPER_CPP_MODEL.'
+    });
+  }
+  return new HumanError('No way to transcribe audio/video.', {
+    tip: 'Run "twx config" to add your OpenAI key, or set whisperCppModel to transcribe locally with whisper.cpp.'
+  });
+}
+
+/**
+ * @returns {Promise<{ text: string, segments: Array<{ start: number, end: number, text: string }> }>}
+ *   Segment times are seconds in the original media (chunk and `--clip` offsets applied).
+ */
 export async function transcribeMedia({ openaiClient, filePath, clipRange = null, config, debug, HumanError }) {
+  const backendName = transcriptionBackend(config, openaiClient);
+  if (!backendName) throw missingTranscriberError(config, HumanError);
+  const backend = BACKENDS[backendName];
+  const local = backendName === 'local';
+
   const whisperSegmentSeconds = config.whisperSegmentSeconds || 480;
   const whisperBitrate = config.whisperBitrate || '48k';
-  const whisperSampleRate = config.whisperSampleRate || '16000';
+  const whisperSampleRate = local ? String(whisperCpp.SAMPLE_RATE) : config.whisperSampleRate || '16000';
+  const model = backend.modelLabel(config);
+  const language = transcribeLanguage(config);
 
   const clipped = await clipMediaSegment(filePath, clipRange, { whisperBitrate, whisperSampleRate, debug, HumanError });
-  const prepared = await prepareAudioForWhisper(clipped.path, { whisperBitrate, whisperSampleRate, debug, HumanError });
-  const segmented = await splitAudioIfNeeded(prepared.path, { whisperSegmentSeconds, whisperBitrate, whisperSampleRate, debug, HumanError });
+  // OpenAI: compress and split only past its upload limit. whisper.cpp: always WAV, in chunks so a long run can resume.
+  const prepared = local ? { path: clipped.path, cleanup: null } : await prepareAudioForWhisper(clipped.path, { whisperBitrate, whisperSampleRate, debug, HumanError });
+  const segmented = local
+    ? await splitToWavChunks(prepared.path, { whisperSegmentSeconds, debug, HumanError })
+    : await splitAudioIfNeeded(prepared.path, { whisperSegmentSeconds, whisperBitrate, whisperSampleRate, debug, HumanError });
 
   const cleanupTasks = [clipped.cleanup, prepared.cleanup, segmented.cleanup].filter(Boolean);
-  const parts = [];
+  let parts = [];
+  let segments = [];
 
   try {
-    for (const segmentPath of segmented.paths) {
-      const stream = createReadStream(segmentPath);
-      const response = await openaiClient.audio.transcriptions.create({
-        model: config.transcribeModel || 'whisper-1',
-        file: stream,
-        response_format: 'text'
-      });
+    // Chunk boundaries depend on these settings, so they are part of the checkpoint key.
+    const chunking = {
+      file: await hashFile(filePath),
+      model,
+      language,
+      clip: clipRange || null,
+      segmentSeconds: whisperSegmentSeconds,
+      bitrate: whisperBitrate,
+      sampleRate: whisperSampleRate,
+      chunks: segmented.paths.length
+    };
+    const checkpointKeys = segmented.paths.map((_, index) => cacheKey({ ...chunking, chunk: index }));
+    // whisper.cpp already uses every core for one chunk.
+    const concurrency = local ? 1 : toConcurrency(config.whisperConcurrency, 3);
 
-      const text = typeof response === 'string' ? response : response.text;
-      if (text?.trim()) parts.push(text.trim());
+    const outcomes = await mapWithConcurrency(segmented.paths, concurrency, async (segmentPath, index) => {
+      const label = `${index + 1}/${segmented.paths.length}`;
+      const saved = await getCached(CHECKPOINT_NAMESPACE, checkpointKeys[index]);
+      if (typeof saved === 'string' || typeof saved?.text === 'string') {
+        if (debug) debug(`Whisper chunk ${label}: resumed from checkpoint`);
+        return typeof saved === 'string' ? { text: saved } : saved;
+      }
+
+      try {
+        const chunk = await backend.transcribeChunk(segmentPath, { openaiClient, config, language, debug, HumanError, label });
+        await setCached(CHECKPOINT_NAMESPACE, checkpointKeys[index], chunk).catch(() => {});
+        return chunk;
+      } catch (error) {
+        return { error };
+      }
+    });
+
+    const failed = outcomes.filter((o) => o.error);
+    if (failed.length) {
+      const done = outcomes.length - failed.length;
+      throw new HumanError(`Transcription incomplete: ${done}/${outcomes.length} chunks done.`, {
+        tip: failed[0].error?.tip || 'Run the same command again to resume from the finished chunks.',
+        technical: failed[0].error?.technical || failed[0].error?.message
+      });
     }
+
+    parts = outcomes.map((o) => o.text.trim()).filter(Boolean);
+    segments = offsetSegments(outcomes, { start: clipRange?.start ?? 0, chunkSeconds: whisperSegmentSeconds });
+    // The full transcript is cached one level up; chunk checkpoints only matter until then.
+    await clearCacheEntries(CHECKPOINT_NAMESPACE, checkpointKeys).catch(() => {});
   } finally {
     for (const cleanup of cleanupTasks) {
       if (cleanup) await cleanup();
@@ -41,7 +133,33 @@ export async function transcribeMedia({ openaiClient, filePath, clipRange = null
     });
   }
 
-  return parts.join('\n\n');
+  return { text: parts.join('\n\n'), segments };
+}
+
+// `transcribeLanguage`: ISO code; `auto` (or nothing) lets the model detect it.
+function transcribeLanguage(config) {
+  const language = String(config.transcribeLanguage || '').trim().toLowerCase();
+  return language && language !== 'auto' ? language : null;
+}
+
+// Chunk-relative times → media times. A chunk's real length (Whisper's
+// `duration`) beats the nominal segment time, which ffmpeg only approximates.
+function offsetSegments(chunks, { start, chunkSeconds }) {
+  const out = [];
+  let offset = Math.max(0, start || 0);
+  for (const chunk of chunks) {
+    for (const segment of chunk.segments || []) {
+      const text = String(segment.text || '').trim();
+      if (!text) continue;
+      out.push({ start: round(offset + segment.start), end: round(offset + segment.end), text });
+    }
+    offset += Number(chunk.duration) || chunkSeconds;
+  }
+  return out;
+}
+
+function round(seconds) {
+  return Math.round(seconds * 100) / 100;
 }
 
 async function prepareAudioForWhisper(filePath, { whisperBitrate, whisperSampleRate, debug, HumanError }) {
@@ -162,3 +280,51 @@ async function splitAudioIfNeeded(filePath, { whisperSegmentSeconds, whisperBitr
   };
 }
 
+async function splitToWavChunks(filePath, { whisperSegmentSeconds, debug, HumanError }) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'twx-chunks-'));
+  const cleanup = () => fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+
+  try {
+    await runExternalCommand(
+      'ffmpeg',
+      [
+        '-hide_banner',
+        '-loglevel',
+        'error',
+        '-y',
+        '-i',
+        filePath,
+        '-vn',
+        '-ac',
+        '1',
+        '-ar',
+        String(whisperCpp.SAMPLE_RATE),
+        '-c:a',
+        'pcm_s16le',
+        '-f',
+        'segment',
+        '-segment_time',
+        String(whisperSegmentSeconds),
+        path.join(tmpDir, 'chunk-%03d.wav')
+      ],
+      { debug }
+    );
+  } catch (error) {
+    await cleanup();
+    throw new HumanError('ffmpeg required to prepare audio for whisper.cpp.', {
+      tip: 'Install with: brew install ffmpeg',
+      technical: error.message
+    });
+  }
+
+  const paths = (await fs.readdir(tmpDir))
+    .filter((n) => n.startsWith('chunk-') && n.endsWith('.wav'))
+    .map((n) => path.join(tmpDir, n))
+    .sort();
+
+  if (!paths.length) {
+    await cleanup();
+    throw new HumanError('Error splitting audio.');
+  }
+  return { paths, cleanup };
+}
@@ -0,0 +1,64 @@
+/**
+ * Image description with a multimodal model (`config.visionModel`, Gemini).
+ *
+ * For what OCR can't carry: memes, charts, photos. When OCR found text it is
+ * passed along so the description focuses on everything else.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { GoogleGenAI } from '@google/genai';
+import { IMAGE_MIME_TYPES, MAX_INLINE_FILE_BYTES } from './constants.js';
+import { extractResponseText } from '../agent/extractResponseText.js';
+import { normalizeImage } from './imageNormalize.js';
+
+// What Gemini takes inline; anything else is converted first.
+const GEMINI_IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif']);
+
+const VISION_PROMPT = [
+  'Describe esta imagen para alguien que no puede verla, en español y en texto plano.',
+  'Qué muestra, quién o qué aparece, el tono (chiste, gráfico, captura, foto) y cualquier dato o cifra visible.',
+  'Si es un gráfico, di qué mide y qué tendencia muestra. Sin introducciones.'
+].join(' ');
+
+export async function describeImage({ filePath, ocrText = '', config, debug, HumanError }) {
+  if (!config.geminiApiKey) {
+    throw new HumanError('Gemini API key required to describe images.', {
+      tip: 'Run "twx config" to add your Gemini key, or use --ocr-only.'
+    });
+  }
+
+  let buffer = await fs.readFile(filePath);
+  if (buffer.length > MAX_INLINE_FILE_BYTES) {
+    throw new HumanError('Image too large.', {
+      tip: `Limit is 20MB. This image is ${Math.round(buffer.length / (1024 * 1024))}MB.`
+    });
+  }
+
+  let mimeType = IMAGE_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'image/png';
+  if (!GEMINI_IMAGE_TYPES.has(mimeType)) {
+    [{ buffer, mimeType }] = await normalizeImage(filePath, { debug, HumanError });
+  }
+  const prompt = ocrText?.trim() ? `${VISION_PROMPT}\n\nTexto ya extraído por OCR (no lo repitas entero):\n${ocrText.trim()}` : VISION_PROMPT;
+  const model = config.visionModel;
+
+  if (debug) debug('Calling vision model:', model, 'bytes:', buffer.length);
+
+  const client = new GoogleGenAI({ apiKey: config.geminiApiKey });
+  let response;
+  try {
+    response = await client.models.generateContent({
+      model,
+      contents: [{ role: 'user', parts: [{ inlineData: { mimeType, data: buffer.toString('base64') } }, { text: prompt }] }],
+      config: { mediaResolution: config.mediaResolution || 'MEDIA_RESOLUTION_HIGH' }
+    });
+  } catch (error) {
+    throw new HumanError('Image description failed.', { technical: `${model}: ${error.message}` });
+  }
+
+  const text = String(extractResponseText(response) || '').trim();
+  if (!text) {
+    throw new HumanError('The vision model returned no description.', { technical: model });
+  }
+  return text;
+}
@@ -0,0 +1,10 @@
+import crypto from 'node:crypto';
+
+/**
+ * ObjectId-shaped id (8 hex seconds + 16 random hex) so `twx <id>` and
+ * Mongo accept it whatever backend created the run.
+ */
+export function createRunId() {
+  const seconds = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+  return seconds + crypto.randomBytes(8).toString('hex');
+}
@@ -0,0 +1,44 @@
+/**
+ * History storage selection.
+ *
+ * `historyBackend` (config / TWX_HISTORY_BACKEND):
+ * - "jsonl" (default): ~/.local/share/twx/history.jsonl, no daemon needed
+ * - "mongo": MongoDB at `mongodbUrl`
+ */
+
+import { loadConfig } from '../config.js';
+import { HISTORY_FILE } from '../config/paths.js';
+import * as errors from '../errors.js';
+
+export const HISTORY_BACKENDS = ['jsonl', 'mongo'];
+
+let storagePromise = null;
+
+export function getStorage() {
+  if (!storagePromise) {
+    storagePromise = createStorage().catch((error) => {
+      storagePromise = null;
+      throw error;
+    });
+  }
+  return storagePromise;
+}
+
+async function createStorage() {
+  const config = await loadConfig();
+  const backend = config.historyBackend || 'jsonl';
+
+  if (backend === 'mongo' || backend === 'mongodb') {
+    const { createMongoStorage } = await import('./mongo.js');
+    return createMongoStorage({ url: config.mongodbUrl });
+  }
+
+  if (backend === 'jsonl' || backend === 'file') {
+    const { createJsonlStorage } = await import('./jsonl.js');
+    return createJsonlStorage({ file: HISTORY_FILE });
+  }
+
+  throw new errors.HumanError(`Unknown history backend: ${backend}`, {
+    tip: `Use one of: ${HISTORY_BACKENDS.join(', ')} (config "historyBackend" or TWX_HISTORY_BACKEND).`
+  });
+}
@@ -0,0 +1,145 @@
+/**
+ * File history backend (default): one JSON document per line.
+ *
+ * Writes are append-only; an update appends the whole document again and the
+ * last line for an `_id` wins. The file is compacted when superseded lines
+ * pile up.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { createRunId } from './ids.js';
+
+const COMPACT_MIN_LINES = 200;
+
+export function createJsonlStorage({ file }) {
+  // Serialize read-modify-write cycles within this process.
+  let queue = Promise.resolve();
+  const exclusive = (fn) => {
+    const next = queue.then(fn, fn);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  async function readAll() {
+    let raw = '';
+    try {
+      raw = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error?.code === 'ENOENT') return { runs: new Map(), lines: 0 };
+      throw error;
+    }
+
+    const runs = new Map();
+    let lines = 0;
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      lines += 1;
+      try {
+        const doc = JSON.parse(line);
+        if (doc?._id) runs.set(doc._id, doc);
+      } catch {
+        // A torn last line (crash mid-append) only loses that write.
+      }
+    }
+    return { runs, lines };
+  }
+
+  async function append(doc) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify(doc)}\n`, 'utf8');
+  }
+
+  async function compactIfNeeded({ runs, lines }) {
+    if (lines < COMPACT_MIN_LINES || lines < runs.size * 2) return;
+    const tmp = `${file}.${process.pid}.tmp`;
+    const body = Array.from(runs.values(), (doc) => JSON.stringify(doc)).join('\n');
+    await fs.writeFile(tmp, body ? `${body}\n` : '', 'utf8');
+    await fs.rename(tmp, file);
+  }
+
+  async function updateRun(id, mutate) {
+    return exclusive(async () => {
+      const state = await readAll();
+      const current = state.runs.get(String(id));
+      if (!current) return null;
+
+      const doc = { ...current };
+      mutate(doc);
+      doc.updatedAt = new Date().toISOString();
+      await append(doc);
+
+      state.runs.set(doc._id, doc);
+      await compactIfNeeded({ runs: state.runs, lines: state.lines + 1 });
+      return doc;
+    });
+  }
+
+  return {
+    name: 'jsonl',
+    file,
+
+    async saveRun(payload) {
+      const now = new Date().toISOString();
+      const doc = {
+        ...payload,
+        _id: payload._id ? String(payload._id) : createRunId(),
+        isFavorite: payload.isFavorite ?? false,
+        conversations: payload.conversations || [],
+        createdAt: payload.createdAt ? new Date(payload.createdAt).toISOString() : now,
+        updatedAt: payload.updatedAt ? new Date(payload.updatedAt).toISOString() : now
+      };
+      await exclusive(() => append(doc));
+      return reviveDates(doc);
+    },
+
+    async listRuns({ limit = 10, favoritesOnly = false } = {}) {
+      const { runs } = await readAll();
+      return Array.from(runs.values())
+        .filter((run) => !favoritesOnly || run.isFavorite)
+        .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')))
+        .slice(0, limit)
+        .map(reviveDates);
+    },
+
+    async getRunById(id) {
+      const { runs } = await readAll();
+      const run = runs.get(String(id));
+      return run ? reviveDates(run) : null;
+    },
+
+    async toggleFavorite(id, note = null) {
+      const doc = await updateRun(id, (run) => {
+        run.isFavorite = !run.isFavorite;
+        if (run.isFavorite) {
+          run.favoritedAt = new Date().toISOString();
+          if (note) run.favoriteNote = note;
+        } else {
+          run.favoritedAt = null;
+          run.favoriteNote = null;
+        }
+      });
+      return doc ? { isFavorite: doc.isFavorite } : null;
+    },
+
+    async addConversation(id, question, answer) {
+      const doc = await updateRun(id, (run) => {
+        run.conversations = [...(run.conversations || []), { question, answer, createdAt: new Date().toISOString() }];
+      });
+      return doc ? reviveDates(doc) : null;
+    }
+  };
+}
+
+// Match what mongoose `.lean()` returns so callers don't care about the backend.
+function reviveDates(doc) {
+  const toDate = (value) => (value ? new Date(value) : value);
+  return {
+    ...doc,
+    createdAt: toDate(doc.createdAt),
+    updatedAt: toDate(doc.updatedAt),
+    favoritedAt: toDate(doc.favoritedAt),
+    conversations: (doc.conversations || []).map((c) => ({ ...c, createdAt: toDate(c.createdAt) }))
+  };
+}
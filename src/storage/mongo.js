@@ -0,0 +1,179 @@
+/**
+ * MongoDB history backend (opt-in: `historyBackend: "mongo"`).
+ *
+ * mongoose is imported lazily so the default file backend never pays for it.
+ */
+
+const cached = {
+  conn: null,
+  promise: null
+};
+
+let RunModel = null;
+
+function buildRunSchema(mongoose) {
+  const segmentSchema = new mongoose.Schema(
+    {
+      start: Number,
+      end: Number,
+      text: String
+    },
+    { _id: false }
+  );
+
+  const resultSchema = new mongoose.Schema(
+    {
+      file: String,
+      type: String,
+      text: String,
+      error: String,
+      context: String,
+      // Vision model description (images)
+      description: String,
+      // 'whisper' | 'subtitles:<lang>[:auto]'
+      transcriptSource: String,
+      // Timed transcript, seconds in the source media
+      segments: [segmentSchema],
+      // --frames: on-screen text per keyframe
+      frames: [segmentSchema],
+      // --follow-links: page that linked here, and the link itself
+      parent: String,
+      sourceUrl: String
+    },
+    { _id: false }
+  );
+
+  const conversationSchema = new mongoose.Schema(
+    {
+      question: String,
+      answer: String,
+      createdAt: { type: Date, default: Date.now }
+    },
+    { _id: false }
+  );
+
+  return new mongoose.Schema(
+    {
+      source: {
+        url: String,
+        path: String
+      },
+      // Rerun of another run (`twx rerun <id>`)
+      parentId: String,
+      directive: String,
+      mode: String,
+      style: String,
+      ocrModel: String,
+      visionModel: String,
+      agentProvider: String,
+      agentModel: String,
+      whisperModel: String,
+      mediaResolution: String,
+      thinkingLevel: String,
+      promptName: String,
+      promptHash: String,
+      // Estilos custom (--style-file / --style-text)
+      styleFile: String,
+      styleText: String,
+      styleTextHash: String,
+      title: String,
+      reflection: String,
+      actionPlan: String,
+      finalResponse: String,
+      xml: String,
+      results: [resultSchema],
+      metadata: mongoose.Schema.Types.Mixed,
+      // Favoritos
+      isFavorite: { type: Boolean, default: false },
+      favoriteNote: String,
+      favoritedAt: Date,
+      // Conversaciones de follow-up
+      conversations: [conversationSchema]
+    },
+    {
+      timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+      versionKey: false
+    }
+  );
+}
+
+export function createMongoStorage({ url }) {
+  async function connect() {
+    if (cached.conn) return cached.conn;
+    if (!cached.promise) {
+      cached.promise = import('mongoose').then(({ default: mongoose }) =>
+        mongoose.connect(url, { serverSelectionTimeoutMS: 5000 }).then((conn) => {
+          if (!RunModel) RunModel = conn.model('Run', buildRunSchema(mongoose), 'runs');
+          return conn;
+        })
+      );
+    }
+    try {
+      cached.conn = await cached.promise;
+    } catch (error) {
+      // Let the next call retry instead of reusing a rejected promise.
+      cached.promise = null;
+      throw error;
+    }
+    return cached.conn;
+  }
+
+  return {
+    name: 'mongo',
+
+    async saveRun(payload) {
+      await connect();
+      const doc = new RunModel(payload);
+      await doc.save();
+      return doc.toObject();
+    },
+
+    async listRuns({ limit = 10, favoritesOnly = false } = {}) {
+      await connect();
+      return RunModel.find(favoritesOnly ? { isFavorite: true } : {})
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+        .lean()
+        .exec();
+    },
+
+    async getRunById(id) {
+      await connect();
+      try {
+        const run = await RunModel.findById(id).lean().exec();
+        return run || null;
+      } catch {
+        return null;
+      }
+    },
+
+    async toggleFavorite(id, note = null) {
+      await connect();
+      const run = await RunModel.findById(id);
+      if (!run) return null;
+
+      run.isFavorite = !run.isFavorite;
+      if (run.isFavorite) {
+        run.favoritedAt = new Date();
+        if (note) run.favoriteNote = note;
+      } else {
+        run.favoritedAt = null;
+        run.favoriteNote = null;
+      }
+
+      await run.save();
+      return { isFavorite: run.isFavorite };
+    },
+
+    async addConversation(id, question, answer) {
+      await connect();
+      const run = await RunModel.findById(id);
+      if (!run) return null;
+
+      if (!run.conversations) run.conversations = [];
+      run.conversations.push({ question, answer, createdAt: new Date() });
+      await run.save();
+      return run.toObject();
+    }
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Offline spool: runs (and follow-ups) that could not reach the history store.
+ *
+ * One file per run id in ~/.local/share/twx/spool/. A spooled run keeps the
+ * exact document `saveRun` would have received, plus an `_id` and timestamps
+ * so chat follow-ups can attach to it. Follow-ups for runs already in the
+ * store are spooled as `{ _id, patch: true, conversations }`.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { SPOOL_DIR } from '../config/paths.js';
+import { readJSONIfExists } from '../system/fs.js';
+import { createRunId } from './ids.js';
+
+const spoolPath = (id, dir) => path.join(dir, `${id}.json`);
+
+async function writeEntry(entry, dir) {
+  await fs.mkdir(dir, { recursive: true });
+  const target = spoolPath(entry._id, dir);
+  const tmp = `${target}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(entry, null, 2), 'utf8');
+  await fs.rename(tmp, target);
+}
+
+export async function spoolRun(payload, { dir = SPOOL_DIR } = {}) {
+  const now = new Date().toISOString();
+  const entry = {
+    ...payload,
+    _id: payload._id ? String(payload._id) : createRunId(),
+    isFavorite: payload.isFavorite ?? false,
+    conversations: payload.conversations || [],
+    createdAt: now,
+    updatedAt: now
+  };
+  await writeEntry(entry, dir);
+  return entry;
+}
+
+export async function getSpooledRun(id, { dir = SPOOL_DIR } = {}) {
+  if (!id) return null;
+  const entry = await readJSONIfExists(spoolPath(String(id), dir));
+  return entry && !entry.patch ? entry : null;
+}
+
+/**
+ * Append a follow-up to the spool. Works for spooled runs and for runs that
+ * are already stored (as a patch replayed on sync).
+ */
+export async function spoolConversation(id, question, answer, { dir = SPOOL_DIR } = {}) {
+  const runId = String(id);
+  const entry = (await readJSONIfExists(spoolPath(runId, dir))) || { _id: runId, patch: true, conversations: [] };
+  entry.conversations = [...(entry.conversations || []), { question, answer, createdAt: new Date().toISOString() }];
+  entry.updatedAt = new Date().toISOString();
+  await writeEntry(entry, dir);
+  return entry;
+}
+
+export async function listSpoolIds({ dir = SPOOL_DIR } = {}) {
+  try {
+    const names = await fs.readdir(dir);
+    return names.filter((name) => name.endsWith('.json')).map((name) => path.basename(name, '.json')).sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Replay the spool into `storage`. Idempotent: runs already stored are not
+ * saved twice and only follow-ups missing from the stored run are added.
+ * @returns {Promise<{ saved: number, merged: number, failed: number, errors: string[] }>}
+ */
+export async function replaySpool(storage, { dir = SPOOL_DIR } = {}) {
+  const summary = { saved: 0, merged: 0, failed: 0, errors: [] };
+
+  for (const id of await listSpoolIds({ dir })) {
+    const file = spoolPath(id, dir);
+    const entry = await readJSONIfExists(file);
+    if (!entry) continue;
+
+    try {
+      const stored = await storage.getRunById(id);
+
+      if (!stored && !entry.patch) {
+        await storage.saveRun({ ...entry, _id: id });
+        summary.saved += 1;
+      } else if (stored) {
+        const seen = new Set((stored.conversations || []).map(conversationKey));
+        for (const conv of entry.conversations || []) {
+          if (seen.has(conversationKey(conv))) continue;
+          await storage.addConversation(id, conv.question, conv.answer);
+        }
+        summary.merged += 1;
+      }
+      // A patch whose run no longer exists has nothing to attach to.
+
+      await fs.rm(file, { force: true });
+    } catch (error) {
+      summary.failed += 1;
+      summary.errors.push(`${id}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+function conversationKey(conv) {
+  return `${conv.question}\u0000${conv.answer}`;
+}
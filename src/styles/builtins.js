@@ -0,0 +1,30 @@
+import { PROMPTS } from '../paths.js';
+
+export const DEFAULT_STYLE = 'bukowski';
+
+/**
+ * Bundled voices. User styles with the same key override these.
+ */
+export const BUILTIN_STYLES = [
+  {
+    key: 'bukowski',
+    label: 'Bukowski',
+    aliases: ['buk', 'bk'],
+    model: null,
+    promptPath: PROMPTS.bukowski
+  },
+  {
+    key: 'musk',
+    label: 'Elon',
+    aliases: ['m', 'mx', 'max', 'elon'],
+    model: null,
+    promptPath: PROMPTS.musk
+  },
+  {
+    key: 'nunc',
+    label: 'NUNC',
+    aliases: ['nunca', 'easy', 'claro', 'simple', 'sinvueltas', 'sin-vueltas', 'sin_vueltas'],
+    model: null,
+    promptPath: PROMPTS.nunc
+  }
+];
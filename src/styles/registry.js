@@ -0,0 +1,84 @@
+/**
+ * Style registry: bundled voices + user voices from ~/.config/twx/styles/.
+ *
+ * A user style is `<key>.txt` (system prompt) plus an optional `<key>.json`
+ * with `{ label, aliases, model }`. Loaded once per process; lookups are sync
+ * so arg parsing can use them.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { STYLES_DIR } from '../config/paths.js';
+import { readJSONIfExists } from '../system/fs.js';
+import { BUILTIN_STYLES } from './builtins.js';
+
+export const STYLE_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+let cachedStyles = null;
+
+export async function loadStyleRegistry({ force = false, dir = STYLES_DIR } = {}) {
+  if (cachedStyles && !force) return cachedStyles;
+
+  const byKey = new Map(BUILTIN_STYLES.map((s) => [s.key, { ...s, aliases: [...s.aliases], source: 'builtin' }]));
+
+  for (const userStyle of await readUserStyles(dir)) {
+    const builtin = byKey.get(userStyle.key);
+    byKey.set(userStyle.key, {
+      ...userStyle,
+      label: userStyle.label || builtin?.label || userStyle.key,
+      aliases: userStyle.aliases.length ? userStyle.aliases : builtin?.aliases || [],
+      source: builtin ? 'override' : 'user'
+    });
+  }
+
+  cachedStyles = Array.from(byKey.values());
+  return cachedStyles;
+}
+
+export function getStyles() {
+  return cachedStyles || BUILTIN_STYLES.map((s) => ({ ...s, source: 'builtin' }));
+}
+
+/**
+ * Find a style by key or alias (case-insensitive). Keys win over aliases.
+ */
+export function findStyle(value) {
+  if (!value) return null;
+  const needle = value.toString().trim().toLowerCase();
+  if (!needle) return null;
+
+  const styles = getStyles();
+  return styles.find((s) => s.key === needle) || styles.find((s) => s.aliases.includes(needle)) || null;
+}
+
+async function readUserStyles(dir) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const styles = [];
+  for (const name of entries.sort()) {
+    if (path.extname(name) !== '.txt') continue;
+    const key = path.basename(name, '.txt').toLowerCase();
+    if (!STYLE_KEY_PATTERN.test(key)) continue;
+
+    const meta = (await readJSONIfExists(path.join(dir, `${key}.json`))) || {};
+    styles.push({
+      key,
+      label: typeof meta.label === 'string' && meta.label.trim() ? meta.label.trim() : null,
+      aliases: normalizeAliases(meta.aliases).filter((a) => a !== key),
+      model: typeof meta.model === 'string' && meta.model.trim() ? meta.model.trim() : null,
+      promptPath: path.join(dir, name)
+    });
+  }
+
+  return styles;
+}
+
+export function normalizeAliases(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return Array.from(new Set(list.map((a) => String(a).trim().toLowerCase()).filter(Boolean)));
+}
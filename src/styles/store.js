@@ -0,0 +1,45 @@
+/**
+ * Write side of the style registry (used by `twx styles`).
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { STYLES_DIR } from '../config/paths.js';
+import { readJSONIfExists, safeStat } from '../system/fs.js';
+import { loadStyleRegistry, normalizeAliases } from './registry.js';
+
+export function userStylePaths(key, dir = STYLES_DIR) {
+  return {
+    promptPath: path.join(dir, `${key}.txt`),
+    metaPath: path.join(dir, `${key}.json`)
+  };
+}
+
+export async function saveUserStyle(key, { promptSource = null, label, aliases, model } = {}, { dir = STYLES_DIR } = {}) {
+  const { promptPath, metaPath } = userStylePaths(key, dir);
+  await fs.mkdir(dir, { recursive: true });
+
+  if (promptSource != null) {
+    await fs.writeFile(promptPath, promptSource, 'utf8');
+  }
+
+  const meta = (await readJSONIfExists(metaPath)) || {};
+  if (label !== undefined) meta.label = label || undefined;
+  if (aliases !== undefined) meta.aliases = normalizeAliases(aliases);
+  if (model !== undefined) meta.model = model || undefined;
+  await fs.writeFile(metaPath, JSON.stringify(meta, null, 2), 'utf8');
+
+  await loadStyleRegistry({ force: true, dir });
+  return { promptPath, metaPath };
+}
+
+export async function removeUserStyle(key, { dir = STYLES_DIR } = {}) {
+  const { promptPath, metaPath } = userStylePaths(key, dir);
+  const existed = Boolean(await safeStat(promptPath));
+
+  await fs.rm(promptPath, { force: true });
+  await fs.rm(metaPath, { force: true });
+
+  await loadStyleRegistry({ force: true, dir });
+  return existed;
+}
@@ -0,0 +1,61 @@
+/**
+ * Tiny concurrency helpers (no deps).
+ *
+ * Results always come back in input order, regardless of completion order.
+ */
+
+export function toConcurrency(value, fallback = 1) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 1 ? Math.floor(n) : fallback;
+}
+
+// Limits where 0 is meaningful ("none"), unlike toConcurrency.
+export function toCount(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+export async function mapWithConcurrency(items, limit, fn) {
+  const list = Array.from(items || []);
+  const results = new Array(list.length);
+  const workers = Math.min(toConcurrency(limit), list.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < list.length) {
+      const index = next++;
+      results[index] = await fn(list[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Limit how many `fn` calls run at once across unrelated callers.
+ * `const limit = createLimiter(2); await limit(() => work());`
+ */
+export function createLimiter(limit) {
+  const max = toConcurrency(limit);
+  const waiting = [];
+  let active = 0;
+
+  // A waiter inherits the slot as-is: lowering `active` first would let a new
+  // caller slip in before the waiter resumes.
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active -= 1;
+  };
+
+  return async (fn) => {
+    if (active >= max) await new Promise((resolve) => waiting.push(resolve));
+    else active += 1;
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  };
+}
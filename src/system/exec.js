@@ -2,15 +2,22 @@ import { spawn } from 'node:child_process';
 import process from 'node:process';
 
 export async function runExternalCommand(command, args, options = {}) {
-  const { env = null, debug = null } = options;
+  const { env = null, debug = null, cwd = undefined, input = null } = options;
   if (debug) debug('Executing:', command, args);
 
   return new Promise((resolve, reject) => {
     const child = spawn(command, args, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      env: env ? { ...process.env, ...env } : process.env
+      stdio: [input == null ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+      env: env ? { ...process.env, ...env } : process.env,
+      cwd
     });
 
+    if (input != null) {
+      // The command may exit before reading it all; that shows up as its exit code.
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+
     let stderr = '';
     let stdout = '';
 
@@ -36,6 +43,23 @@ export async function runExternalCommand(command, args, options = {}) {
   });
 }
 
+/**
+ * Run a command attached to the user's terminal (e.g. $EDITOR).
+ */
+export async function runInteractiveCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: 'inherit' });
+    child.on('error', (error) => {
+      if (error?.code === 'ENOENT') {
+        reject(new Error(`${command} not found. Install it and make sure it's in your PATH.`));
+        return;
+      }
+      reject(error);
+    });
+    child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`${command} exited with code ${code}`))));
+  });
+}
+
 export async function runCommandCaptureStdout(command, args) {
   return new Promise((resolve, reject) => {
     const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
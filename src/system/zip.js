@@ -0,0 +1,57 @@
+import zlib from 'node:zlib';
+
+/**
+ * Minimal ZIP reader for DOCX/EPUB (both are plain zip archives).
+ *
+ * Reads the central directory and inflates entries on demand. Stored and
+ * deflated entries only; no zip64, no encryption: office files don't use them.
+ */
+export function openZip(buffer) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd < 0) throw new Error('Not a zip archive.');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip central directory.');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    names: () => [...entries.keys()],
+    has: (name) => entries.has(name),
+    read(name) {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      const { method, compressedSize, localOffset } = entry;
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return Buffer.from(data);
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Unsupported zip compression method ${method} (${name}).`);
+    },
+    readText(name) {
+      const data = this.read(name);
+      return data ? data.toString('utf8') : null;
+    }
+  };
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB, at the very end.
+  const min = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= min; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) return i;
+  }
+  return -1;
+}
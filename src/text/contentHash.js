@@ -0,0 +1,9 @@
+import { createHash } from 'node:crypto';
+
+/**
+ * Short, stable fingerprint for prompt/style text (not for security).
+ */
+export function contentHash(text) {
+  if (!text) return null;
+  return createHash('sha256').update(String(text)).digest('hex').slice(0, 12);
+}
@@ -0,0 +1,75 @@
+import terminalLink from 'terminal-link';
+
+/**
+ * `[12:34]` / `[1:02:03]` citations: formatting, parsing and terminal links
+ * to the source at that second.
+ */
+
+const CITATION = /\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]/g;
+
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// [{ start, text }] → "[m:ss] text" lines
+export function formatTimedLines(entries) {
+  return entries.map((entry) => `[${formatTimestamp(entry.start)}] ${entry.text}`).join('\n');
+}
+
+export function parseTimestamp(stamp) {
+  return String(stamp)
+    .split(':')
+    .map(Number)
+    .reduce((acc, value) => acc * 60 + value, 0);
+}
+
+/**
+ * Source URL opened at `seconds`, or null when the host has no deep-link format.
+ */
+export function timestampUrl(url, seconds) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m)\./, '');
+  const t = Math.max(0, Math.floor(seconds));
+
+  if (host === 'youtube.com' || host === 'youtu.be' || host === 'music.youtube.com') {
+    parsed.searchParams.set('t', `${t}s`);
+    return parsed.toString();
+  }
+
+  if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+    parsed.hash = `t=${t}s`;
+    return parsed.toString();
+  }
+
+  // VODs only: clips and live channels have no seekable timeline.
+  if (host === 'twitch.tv' && /^\/videos\/\d+/.test(parsed.pathname)) {
+    parsed.searchParams.set('t', `${Math.floor(t / 3600)}h${Math.floor((t % 3600) / 60)}m${t % 60}s`);
+    return parsed.toString();
+  }
+
+  if (host === 'dailymotion.com' || host === 'dai.ly') {
+    parsed.searchParams.set('start', String(t));
+    return parsed.toString();
+  }
+
+  return null;
+}
+
+/**
+ * Turn every `[mm:ss]` in `text` into a hyperlink to `url` at that second.
+ * Plain text is returned untouched when the terminal or the host can't link.
+ */
+export function linkTimestamps(text, url) {
+  if (!text || !url || !terminalLink.isSupported || !timestampUrl(url, 0)) return text;
+  return String(text).replace(CITATION, (match, stamp) => terminalLink(match, timestampUrl(url, parseTimestamp(stamp)), { fallback: false }));
+}
@@ -40,8 +40,14 @@ export function debug(...args) {
 
 /**
  * Create an elegant spinner
+ * `silent` returns the same interface without touching the terminal (e.g. --json).
  */
-export function spinner(message = 'Processing...') {
+export function spinner(message = 'Processing...', { silent = false } = {}) {
+  if (silent) {
+    const noop = () => {};
+    return { update: noop, success: noop, error: noop, warning: noop, info: noop, stop: noop };
+  }
+
   const s = createSpinner({ text: message });
   s.start();
 
@@ -41,9 +41,18 @@ export function showHistoryItem(run, options = {}) {
     console.log(`${spacing.indent}${style.dim(truncate(source, 60))}`);
   }
 
+  if (run.parentId) {
+    console.log(`${spacing.indent}${style.dim(`↻ rerun of ${run.parentId}${run.directive ? ` · "${truncate(run.directive, 40)}"` : ''}`)}`);
+  }
+
+  const voice = describeVoice(run);
+  if (voice) {
+    console.log(`${spacing.indent}${style.dim(voice)}`);
+  }
+
   // Content
   if (run.finalResponse) {
-    showResult(stripXmlTags(run.finalResponse), { markdown: false });
+    showResult(stripXmlTags(run.finalResponse), { markdown: false, linkUrl: run.source?.url || null });
   } else if (run.results?.some((r) => r.text)) {
     const combined = run.results
       .filter((r) => r.text)
@@ -125,7 +134,7 @@ export async function showHistoryList(runs, options = {}) {
           const total = viewRuns.length;
           const modeIndicator = favoritesOnly ? style.gold('★ favoritos') : '';
           const count = style.muted(`${total} items`);
-          const hints = style.dim('↵ abrir · / buscar · f ★ · F filtrar · q salir');
+          const hints = style.dim('↵ abrir · r re-analizar · / buscar · f ★ · F filtrar · q salir');
 
           let footer = modeIndicator ? `${modeIndicator}  ${count}  ${hints}` : `${count}  ${hints}`;
           if (statusLine) footer = `${footer}\n${spacing.indent}${statusLine}`;
@@ -148,6 +157,14 @@ export async function showHistoryList(runs, options = {}) {
           return;
         }
 
+        if (input === 'r') {
+          const id = prompt.focused?.name;
+          if (!id || id.startsWith?.('__')) return;
+          prompt._rerunId = id;
+          await prompt.cancel();
+          return;
+        }
+
         if (input === 'F') {
           await prompt.cancel();
           prompt._toggleFavoritesRequested = true;
@@ -194,6 +211,10 @@ export async function showHistoryList(runs, options = {}) {
       try {
         selected = await prompt.run();
       } catch {
+        if (prompt._rerunId) {
+          exitAltScreen();
+          return { action: 'rerun', id: prompt._rerunId };
+        }
         if (prompt._searchRequested) {
           const found = await handleSearchEnquirer(sorted, onSelect);
           if (found) {
@@ -210,6 +231,11 @@ export async function showHistoryList(runs, options = {}) {
         return null;
       }
 
+      if (prompt._rerunId) {
+        exitAltScreen();
+        return { action: 'rerun', id: prompt._rerunId };
+      }
+
       if (prompt._searchRequested) {
         const found = await handleSearchEnquirer(sorted, onSelect);
         if (found) {
@@ -248,7 +274,7 @@ function formatRunChoice(run) {
 
   // Anchos de columnas
   const dateWidth = 5;      // "  5d", "ayer", " 11h"
-  const indicatorWidth = 8; // " (12) ★" o espacios
+  const indicatorWidth = 9; // " (12) ↻★" o espacios
   const padding = 6;        // espacios entre columnas + margen selector
   const titleWidth = Math.max(25, termWidth - dateWidth - indicatorWidth - padding);
 
@@ -267,9 +293,10 @@ function formatRunChoice(run) {
   const msgCount = (run.conversations || []).length;
   const msgBadge = msgCount > 0 ? `(${msgCount})`.padStart(4) : '    ';
   const favIcon = run.isFavorite ? symbols.star : ' ';
+  const versionIcon = run.parentId ? '↻' : ' ';
 
   // Composición final con estilos
-  const label = `${style.muted(date)}  ${style.primary(titlePadded)}  ${style.dim(msgBadge)} ${style.gold(favIcon)}`;
+  const label = `${style.muted(date)}  ${style.primary(titlePadded)}  ${style.dim(msgBadge)} ${style.dim(versionIcon)}${style.gold(favIcon)}`;
 
   return {
     value: run._id.toString(),
@@ -315,6 +342,20 @@ function getSmartTitle(run) {
   return title.replace(/[\n\r]+/g, ' ').replace(/\s+/g, ' ').trim();
 }
 
+/**
+ * Which custom voice produced the run (--style-file / --style-text), if any
+ */
+function describeVoice(run) {
+  const parts = [];
+  if (run.styleFile || run.style === 'custom') {
+    parts.push(`voice ${run.promptName || 'custom'}${run.promptHash ? ` #${run.promptHash}` : ''}`);
+  }
+  if (run.styleTextHash) {
+    parts.push(`style text #${run.styleTextHash}`);
+  }
+  return parts.join(` ${symbols.middot} `);
+}
+
 /**
  * Clean a title string - elimina markdown, URLs, y cualquier formato problemático
  */
@@ -11,6 +11,7 @@ import stringWidth from 'string-width';
 import { style, symbols, spacing, ansi, rgb, gradients, truncate } from './theme.js';
 import { resultBox, box } from './boxes.js';
 import { isVerbose } from './debug.js';
+import { linkTimestamps } from '../text/timestamps.js';
 
 // Configure marked for terminal
 marked.use(
@@ -26,7 +27,8 @@ marked.use(
 export function showResult(text, options = {}) {
   if (!text?.trim()) return;
 
-  const { title = null, model = null, showBox = true, markdown = true, stripAnsi: shouldStripAnsi = true } = options;
+  // linkUrl: source URL for turning [mm:ss] citations into links at that second
+  const { title = null, model = null, showBox = true, markdown = true, stripAnsi: shouldStripAnsi = true, linkUrl = null } = options;
 
   const stripAnsiCodes = (input) =>
     input
@@ -45,7 +47,7 @@ export function showResult(text, options = {}) {
     const contentWidth = boxWidth - 6;
 
     // Render markdown (optional)
-    const rendered = (markdown ? marked.parse(safeText) : safeText).trim();
+    const rendered = linkTimestamps((markdown ? marked.parse(safeText) : safeText).trim(), linkUrl);
 
     // Wrap content
     const wrapped = wrapAnsi(rendered, contentWidth, { hard: true, trim: false });
@@ -58,7 +60,7 @@ export function showResult(text, options = {}) {
   } else {
     // Simple output without box
     console.log('');
-    const rendered = (markdown ? marked.parse(safeText) : safeText).trim();
+    const rendered = linkTimestamps((markdown ? marked.parse(safeText) : safeText).trim(), linkUrl);
     console.log(rendered);
     console.log('');
   }